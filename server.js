@@ -3,6 +3,7 @@ require('dotenv').config();
 const app = require('./src/app');
 const { sequelize } = require('./src/config/database');
 const logger = require('./src/utils/logger');
+const { assertSchemaUpToDate } = require('./src/config/migrate');
 
 // Import models in dependency order FIRST (parent tables first)
 const State = require('./src//models/state');
@@ -10,30 +11,36 @@ const FinancialYear = require('./src/models/FinancialYear');
 const District = require('./src/models/District');
 const DistrictPerformance = require('./src/models/DistrictPerformance');
 const DistrictExtendedMetrics = require('./src/models/DistrictExtendedMetrics');
+const SyncRun = require('./src/models/SyncRun');
+const DataAnomaly = require('./src/models/DataAnomaly');
 
 // THEN require the associations file (this sets up the relationships)
 require('./src//models/index');
 
-// const cronJobs = require('./src/services/cronJobs');
+const cronJobs = require('./src/services/cronJobs');
+const lgdService = require('./src/services/lgdService');
+const dataProcessingService = require('./src/services/dataProcessingService');
 const PORT = process.env.PORT || 3000;
 
-// Test database connection and sync models
+// Test database connection and check the schema is migrated
 async function startServer() {
   try {
     await sequelize.authenticate();
     logger.info('Database connection established successfully.');
     
-    // // Sync database models in the correct order
-    // await State.sync({ alter: true });
-    // await FinancialYear.sync({ alter: true });
-    // await District.sync({ alter: true });
-    // await DistrictPerformance.sync({ alter: true });
-    // await DistrictExtendedMetrics.sync({ alter: true });
+    // Schema changes are applied with `npm run migrate`; refuse to serve if any are pending
+    await assertSchemaUpToDate();
     
-    logger.info('Database models synchronized.');
+    logger.info('Database schema is up to date.');
+
+    // Load official LGD state and district codes
+    await lgdService.loadIntoDatabase();
+
+    // Make sure the current financial year is flagged before serving
+    await dataProcessingService.refreshCurrentFinancialYear();
     
     // Start cron jobs
-    // cronJobs.initializeJobs();
+    cronJobs.initializeJobs();
     
     // Start server
     app.listen(PORT, '0.0.0.0', () => {
@@ -6,6 +6,7 @@ const cors = require('cors');
 const routes = require('./routes');
 // const errorHandler = require('./middleware/errorHandler');
 const rateLimiter = require('./middleware/rateLimiter');
+const locale = require('./middleware/locale');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -17,8 +18,9 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID', 'Accept-Language'],
+  exposedHeaders: ['Content-Language']
 }));
 
 // Compression middleware
@@ -31,6 +33,9 @@ app.use(morgan('combined', { stream: { write: message => logger.info(message.tri
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Response language (?lang= or Accept-Language), applied before rate limiting so 429s are translated too
+app.use(locale);
+
 // Rate limiting
 app.use('/api', rateLimiter.apiLimiter);
 
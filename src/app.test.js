@@ -0,0 +1,17 @@
+jest.mock('./config/redis', () => ({}));
+
+const request = require('supertest');
+const app = require('./app');
+
+describe('CORS', () => {
+  it('allows the PATCH used to review anomalies in a preflight', async () => {
+    const res = await request(app)
+      .options('/api/v1/admin/anomalies/1')
+      .set('Origin', 'https://example.org')
+      .set('Access-Control-Request-Method', 'PATCH')
+      .set('Access-Control-Request-Headers', 'Authorization, Content-Type');
+
+    expect(res.status).toBe(204);
+    expect(res.headers['access-control-allow-methods'].split(',')).toContain('PATCH');
+  });
+});
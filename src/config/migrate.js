@@ -0,0 +1,170 @@
+// src/config/migrate.js
+// Versioned schema migrations. Each file in src/migrations exports up/down(queryInterface, Sequelize)
+// and is applied in filename order. Applied migrations are recorded in the schema_migrations table.
+// Migrations that export irreversible: true (the baseline tables) refuse to be reverted.
+//
+// Usage:
+//   npm run migrate              Apply all pending migrations
+//   npm run migrate -- up
+//   npm run migrate -- down      Revert the last applied migration
+//   npm run migrate -- down --steps 3
+//   npm run migrate -- status
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, DataTypes, QueryTypes } = require('sequelize');
+const { sequelize } = require('./database');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+const listMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+      name: file.replace(/\.js$/, ''),
+      file: path.join(MIGRATIONS_DIR, file)
+    }));
+};
+
+const ensureMigrationsTable = async () => {
+  await sequelize.getQueryInterface().createTable(MIGRATIONS_TABLE, {
+    name: {
+      type: DataTypes.STRING(255),
+      primaryKey: true
+    },
+    applied_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  });
+};
+
+const getAppliedNames = async () => {
+  await ensureMigrationsTable();
+  const rows = await sequelize.query(`SELECT name FROM ${MIGRATIONS_TABLE} ORDER BY name`, {
+    type: QueryTypes.SELECT
+  });
+  return rows.map(row => row.name);
+};
+
+/**
+ * Returns every migration with whether it has been applied
+ */
+const getStatus = async () => {
+  const applied = new Set(await getAppliedNames());
+  return listMigrations().map(migration => ({
+    name: migration.name,
+    applied: applied.has(migration.name)
+  }));
+};
+
+/**
+ * Apply all pending migrations in order
+ */
+const up = async () => {
+  const applied = new Set(await getAppliedNames());
+  const pending = listMigrations().filter(migration => !applied.has(migration.name));
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const migration of pending) {
+    logger.info(`Migrating up: ${migration.name}`);
+    await require(migration.file).up(queryInterface, Sequelize);
+    await sequelize.query(`INSERT INTO ${MIGRATIONS_TABLE} (name, applied_at) VALUES (:name, NOW())`, {
+      replacements: { name: migration.name }
+    });
+  }
+
+  logger.info(pending.length > 0 ? `Applied ${pending.length} migrations` : 'Schema is up to date');
+  return pending.map(migration => migration.name);
+};
+
+/**
+ * Revert the most recently applied migrations
+ */
+const down = async (steps = 1) => {
+  const applied = await getAppliedNames();
+  const available = new Map(listMigrations().map(migration => [migration.name, migration]));
+  const toRevert = applied.slice(-steps).reverse();
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Check every step first, so a refused step does not leave the later ones half reverted
+  toRevert.forEach(name => {
+    const migration = available.get(name);
+    if (!migration) {
+      throw new Error(`Cannot revert ${name}: migration file not found in ${MIGRATIONS_DIR}`);
+    }
+    if (require(migration.file).irreversible) {
+      throw new Error(`Cannot revert ${name}: it is a baseline migration and may have adopted existing tables and data`);
+    }
+  });
+
+  for (const name of toRevert) {
+    const migration = available.get(name);
+
+    logger.info(`Migrating down: ${name}`);
+    await require(migration.file).down(queryInterface, Sequelize);
+    await sequelize.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE name = :name`, {
+      replacements: { name }
+    });
+  }
+
+  logger.info(`Reverted ${toRevert.length} migrations`);
+  return toRevert;
+};
+
+/**
+ * Throw if any migration has not been applied - used at startup
+ */
+const assertSchemaUpToDate = async () => {
+  const pending = (await getStatus()).filter(migration => !migration.applied);
+  if (pending.length > 0) {
+    throw new Error(
+      `Database schema is behind by ${pending.length} migrations (${pending.map(m => m.name).join(', ')}). ` +
+      'Run `npm run migrate` before starting the server.'
+    );
+  }
+};
+
+const main = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const stepsIndex = args.indexOf('--steps');
+  const steps = stepsIndex !== -1 ? parseInt(args[stepsIndex + 1]) || 1 : 1;
+
+  try {
+    await sequelize.authenticate();
+
+    if (command === 'up') {
+      await up();
+    } else if (command === 'down') {
+      await down(steps);
+    } else if (command === 'status') {
+      const status = await getStatus();
+      status.forEach(migration => {
+        console.log(`${migration.applied ? '[applied]' : '[pending]'} ${migration.name}`);
+      });
+    } else {
+      console.error(`Unknown command '${command}'. Use up, down or status.`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    logger.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  up,
+  down,
+  getStatus,
+  assertSchemaUpToDate
+};
@@ -0,0 +1,35 @@
+const { sequelize } = require('./database');
+const migrate = require('./migrate');
+
+describe('down', () => {
+  let queryInterface;
+
+  beforeEach(() => {
+    queryInterface = { createTable: jest.fn(), removeColumn: jest.fn(), dropTable: jest.fn() };
+    jest.spyOn(sequelize, 'getQueryInterface').mockReturnValue(queryInterface);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const applied = (names) => jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => (
+    sql.startsWith('SELECT') ? names.map(name => ({ name })) : []
+  ));
+
+  it('refuses to revert a baseline migration and reverts nothing else in the batch', async () => {
+    const query = applied(['001-create-states', '002-create-financial-years', '003-create-districts', '004-create-district-performance', '005-create-district-extended-metrics', '006-create-sync-runs']);
+
+    await expect(migrate.down(2)).rejects.toThrow('Cannot revert 005-create-district-extended-metrics: it is a baseline migration');
+    expect(queryInterface.dropTable).not.toHaveBeenCalled();
+    expect(query.mock.calls.some(([sql]) => sql.startsWith('DELETE'))).toBe(false);
+  });
+
+  it('still reverts later migrations', async () => {
+    const query = applied(['005-create-district-extended-metrics', '006-create-sync-runs']);
+
+    await expect(migrate.down(1)).resolves.toEqual(['006-create-sync-runs']);
+    expect(queryInterface.dropTable).toHaveBeenCalledWith('sync_runs');
+    expect(query).toHaveBeenCalledWith(expect.stringMatching(/^DELETE/), { replacements: { name: '006-create-sync-runs' } });
+  });
+});
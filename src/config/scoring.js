@@ -0,0 +1,56 @@
+// src/config/scoring.js
+// Performance scoring methodologies. Each named version defines weighted components and grade bands.
+//
+// A component scores weight * min(value / target, 1), where value is either a single metric or
+// numerator / sum(denominator). Components whose denominator is zero are either scored as zero
+// (missingInputs: 'zero') or left out with their weight spread over the rest ('redistribute').
+//
+// SCORING_METHODOLOGY selects the active version. SCORING_METHODOLOGIES_FILE can point to a JSON
+// array of further methodologies in the same shape, so analysts can add versions without a release.
+const fs = require('fs');
+
+const DEFAULT_GRADES = [
+  { min: 80, grade: 'A', label: 'Excellent', color: '#43A047' },
+  { min: 60, grade: 'B', label: 'Good', color: '#7CB342' },
+  { min: 40, grade: 'C', label: 'Average', color: '#FB8C00' },
+  { min: 20, grade: 'D', label: 'Below Average', color: '#F57C00' },
+  { min: 0, grade: 'E', label: 'Poor', color: '#E65100' }
+];
+
+const methodologies = [
+  {
+    version: 'v1',
+    name: 'Original weighted score',
+    description: 'The first scoring model. Compares absolute women persondays against 50, so it favours large districts.',
+    missingInputs: 'zero',
+    components: [
+      { key: 'employmentDays', label: 'Average days of employment per household', weight: 30, metric: 'averageDaysEmployment', target: 100 },
+      { key: 'paymentTimeliness', label: 'Payments generated within 15 days (%)', weight: 25, metric: 'paymentWithin15Days', target: 100 },
+      { key: 'womenParticipation', label: 'Women persondays', weight: 20, metric: 'womenPersondays', target: 50 },
+      { key: 'worksCompletion', label: 'Share of works completed', weight: 25, numerator: 'completedWorks', denominator: ['completedWorks', 'ongoingWorks'], target: 1 }
+    ],
+    grades: DEFAULT_GRADES
+  },
+  {
+    version: 'v2',
+    name: 'Normalised weighted score',
+    description: 'Every input is a rate, so districts of any size are scored on the same scale. Women participation is the women share of persondays, with full marks at half.',
+    missingInputs: 'redistribute',
+    components: [
+      { key: 'employmentDays', label: 'Average days of employment per household', weight: 30, metric: 'averageDaysEmployment', target: 100 },
+      { key: 'paymentTimeliness', label: 'Payments generated within 15 days (%)', weight: 25, metric: 'paymentWithin15Days', target: 100 },
+      { key: 'womenParticipation', label: 'Women share of persondays', weight: 20, numerator: 'womenPersondays', denominator: ['persondays'], target: 0.5 },
+      { key: 'worksCompletion', label: 'Share of works completed', weight: 25, numerator: 'completedWorks', denominator: ['completedWorks', 'ongoingWorks'], target: 1 }
+    ],
+    grades: DEFAULT_GRADES
+  }
+];
+
+if (process.env.SCORING_METHODOLOGIES_FILE) {
+  methodologies.push(...JSON.parse(fs.readFileSync(process.env.SCORING_METHODOLOGIES_FILE, 'utf8')));
+}
+
+module.exports = {
+  activeVersion: process.env.SCORING_METHODOLOGY || 'v2',
+  methodologies
+};
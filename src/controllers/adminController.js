@@ -0,0 +1,111 @@
+const syncRunService = require('../services/syncRunService');
+const anomalyService = require('../services/anomalyService');
+const logger = require('../utils/logger');
+
+class AdminController {
+  /**
+   * List recent sync runs with optional filters
+   * Accepts: state (full name), finYear, status, trigger, limit, offset
+   */
+  async getSyncRuns(req, res) {
+    try {
+      const { state, finYear, status, trigger, limit = 50, offset = 0 } = req.query;
+
+      const { rows, count } = await syncRunService.listRuns({
+        state,
+        finYear,
+        status,
+        trigger,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        count: rows.length,
+        total: count,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error in getSyncRuns:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sync runs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List detected data anomalies with optional filters
+   * Accepts: status, districtCode, finYear, rule, severity, limit, offset
+   */
+  async getAnomalies(req, res) {
+    try {
+      const { status, districtCode, finYear, rule, severity, limit = 50, offset = 0 } = req.query;
+
+      const { rows, count } = await anomalyService.listAnomalies({
+        status,
+        districtCode,
+        finYear,
+        rule,
+        severity,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        count: rows.length,
+        total: count,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error in getAnomalies:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch anomalies',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Record a review decision on an anomaly
+   * Accepts: status (open, confirmed, dismissed), note
+   */
+  async reviewAnomaly(req, res) {
+    try {
+      const { id } = req.params;
+      const { status, note } = req.body;
+
+      const anomaly = await anomalyService.reviewAnomaly(id, { status, note });
+
+      if (!anomaly) {
+        return res.status(404).json({
+          success: false,
+          message: `Anomaly '${id}' not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: anomaly
+      });
+
+    } catch (error) {
+      logger.error('Error in reviewAnomaly:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update anomaly',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
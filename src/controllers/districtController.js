@@ -1,10 +1,22 @@
 const { State, District, FinancialYear, DistrictPerformance, DistrictExtendedMetrics } = require('../models/index');
 const mgnregaApiService = require('../services/mgnregaApiService');
 const dataProcessingService = require('../services/dataProcessingService');
+const summaryService = require('../services/summaryService');
+const anomalyService = require('../services/anomalyService');
+const projectionService = require('../services/projectionService');
+const budgetService = require('../services/budgetService');
+const peerService = require('../services/peerService');
+const compareService = require('../services/compareService');
+const nameResolverService = require('../services/nameResolverService');
+const lgdService = require('../services/lgdService');
+const i18nService = require('../services/i18nService');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+// Data older than this is flagged as stale in responses
+const MAX_STALENESS_MS = 7 * 24 * 60 * 60 * 1000;
+
 class DistrictController {
   /**
    * Get district performance data with filters
@@ -12,15 +24,19 @@ class DistrictController {
    */
   async getDistrictData(req, res) {
     try {
-      const { state, district, finYear, month } = req.query;
+      const { state, district, month } = req.query;
+      const finYear = req.query.finYear || await dataProcessingService.getCurrentFinancialYear();
 
-      if (!state || !finYear) {
+      if (!state) {
         return res.status(400).json({
           success: false,
-          message: 'State name and financial year are required parameters'
+          message: 'State name is a required parameter'
         });
       }
 
+      // Names sent upstream: the stored or official spelling once the input resolves, not the raw input
+      let upstreamDistrictName = district;
+
       // Helper function to build where clause
       const buildWhereClause = async (finYear, month, district, stateCode, stateName) => {
         const whereClause = { finYear };
@@ -30,36 +46,26 @@ class DistrictController {
         }
         
         if (district) {
-          let districtRecord = await District.findOne({
-            where: {
-              districtName: { [Op.like]: district.toUpperCase() },
-              stateCode
-            }
-          });
+          const resolved = await nameResolverService.resolveDistrict(district, { stateCode });
+          let districtRecord = resolved.match;
           
-          // If district not found in DB, try fetching from API
-          if (!districtRecord) {
+          // If district not found in DB, try fetching from API (unless it looks like a misspelling)
+          if (!districtRecord && resolved.suggestions.length === 0) {
             logger.info(`District '${district}' not found in DB for state '${stateName}'. Attempting to fetch from API...`);
             
             try {
               // FIXED: Pass stateName (not undefined) to the API service
-              const apiData = await mgnregaApiService.fetchDistrictData({
+              const apiData = await dataProcessingService.fetchAndStore({
                 stateName: stateName,  // This was missing/undefined before
                 finYear: finYear,
-                districtName: district
+                districtName: lgdService.resolveDistrict(district, stateCode)?.name || district
               });
               
               if (apiData && apiData.length > 0) {
-                logger.info(`Found ${apiData.length} records for district '${district}' from API. Processing...`);
-                await dataProcessingService.processAndStoreDataBulk(apiData);
+                logger.info(`Stored ${apiData.length} records for district '${district}' from API`);
                 
                 // Try to find the district again after processing
-                districtRecord = await District.findOne({
-                  where: {
-                    districtName: { [Op.like]: district.toUpperCase() },
-                    stateCode
-                  }
-                });
+                districtRecord = (await nameResolverService.resolveDistrict(district, { stateCode })).match;
                 
                 if (districtRecord) {
                   logger.info(`Successfully created district '${district}' in database`);
@@ -74,6 +80,7 @@ class DistrictController {
           
           if (districtRecord) {
             whereClause.districtCode = districtRecord.districtCode;
+            upstreamDistrictName = districtRecord.districtName;
           } else {
             return null; // District not found even after API fetch
           }
@@ -110,28 +117,33 @@ class DistrictController {
               required: false
             }
           ],
-          order: [['month', 'DESC'], ['updated_at', 'DESC']]
+          order: [['monthIndex', 'DESC'], ['updated_at', 'DESC']]
         });
       };
 
-      // Step 1: Find state by name (case-insensitive)
-      let stateRecord = await State.findOne({
-        where: { 
-          stateName: {
-            [Op.like]: state.toUpperCase()
-          }
-        }
-      });
+      // Step 1: Find state by name, tolerating aliases and misspellings
+      const resolvedState = await nameResolverService.resolveState(state);
+      let stateRecord = resolvedState.match;
+
+      if (!stateRecord && resolvedState.suggestions.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: nameResolverService.notFoundMessage('State', state, resolvedState.suggestions),
+          didYouMean: resolvedState.suggestions
+        });
+      }
 
       // Step 2: If state not found in DB, fetch from API and store
       if (!stateRecord) {
         logger.info(`State '${state}' not found in DB. Fetching from external API...`);
+        const lgdState = lgdService.resolveState(state);
+        const upstreamStateName = lgdState?.name || state;
         
         try {
-          const apiData = await mgnregaApiService.fetchDistrictData({
-            stateName: state,
+          const apiData = await dataProcessingService.fetchAndStore({
+            stateName: upstreamStateName,
             finYear: finYear,
-            districtName: district
+            districtName: district && (lgdService.resolveDistrict(district, lgdState?.lgdCode)?.name || district)
           });
 
           if (!apiData || apiData.length === 0) {
@@ -144,15 +156,14 @@ class DistrictController {
             for (const fallbackYear of fallbackYears) {
               logger.info(`Trying fallback year: ${fallbackYear}`);
               try {
-                fallbackData = await mgnregaApiService.fetchDistrictData({
-                  stateName: state,
+                fallbackData = await dataProcessingService.fetchAndStore({
+                  stateName: upstreamStateName,
                   finYear: fallbackYear,
                   districtName: null // Get all districts for state
                 });
                 
                 if (fallbackData && fallbackData.length > 0) {
                   logger.info(`Successfully fetched data for ${fallbackYear}`);
-                  await dataProcessingService.processAndStoreDataBulk(fallbackData);
                   break;
                 }
               } catch (fallbackError) {
@@ -161,13 +172,7 @@ class DistrictController {
             }
 
             // If we got fallback data, the state should now exist
-            stateRecord = await State.findOne({
-              where: { 
-                stateName: {
-                  [Op.like]: state.toUpperCase()
-                }
-              }
-            });
+            stateRecord = (await nameResolverService.resolveState(state)).match;
 
             if (!stateRecord) {
               return res.status(404).json({
@@ -193,17 +198,9 @@ class DistrictController {
             });
           }
 
-          // Process and store data (this will create state, districts, and performance records)
-          await dataProcessingService.processAndStoreDataBulk(apiData);
-
+          // fetchAndStore has already created state, districts, and performance records
           // Now fetch the state record that was just created
-          stateRecord = await State.findOne({
-            where: { 
-              stateName: {
-                [Op.like]: state.toUpperCase()
-              }
-            }
-          });
+          stateRecord = (await nameResolverService.resolveState(state)).match;
 
         } catch (apiError) {
           logger.error('Error fetching from external API:', apiError);
@@ -234,9 +231,11 @@ class DistrictController {
 
       // Check if district was provided but not found
       if (district && whereClause === null) {
+        const { suggestions } = await nameResolverService.resolveDistrict(district, { stateCode: stateRecord.stateCode });
         return res.status(404).json({
           success: false,
-          message: `District '${district}' not found in state '${state}'`,
+          message: nameResolverService.notFoundMessage('District', district, suggestions, ` in state '${stateRecord.stateName}'`),
+          didYouMean: suggestions,
           suggestion: `Use GET /api/v1/districts/list?state=${state} to see available districts`
         });
       }
@@ -249,15 +248,13 @@ class DistrictController {
         logger.info(`No performance data found in DB for ${state} ${finYear}. Fetching fresh data from API...`);
         
         try {
-          const apiData = await mgnregaApiService.fetchDistrictData({
-            stateName: state,
+          const apiData = await dataProcessingService.fetchAndStore({
+            stateName: stateRecord.stateName,
             finYear: finYear,
-            districtName: district
+            districtName: upstreamDistrictName
           });
 
           if (apiData && apiData.length > 0) {
-            await dataProcessingService.processAndStoreDataBulk(apiData);
-            
             // FIXED: Rebuild where clause with stateName
             const refetchWhereClause = await buildWhereClause(
               finYear, 
@@ -311,8 +308,7 @@ class DistrictController {
         const itemJson = item.toJSON();
         return {
           ...itemJson,
-          performanceScore: itemJson.extendedMetrics?.performanceScore || 
-                           dataProcessingService.calculatePerformanceScore(item),
+          performanceScore: dataProcessingService.getPerformanceScore(item),
           performanceGrade: dataProcessingService.getPerformanceGrade(item)
         };
       });
@@ -321,6 +317,7 @@ class DistrictController {
         success: true,
         data: processedData,
         count: processedData.length,
+        scoringMethodology: dataProcessingService.getScoringVersion(),
         timestamp: new Date().toISOString(),
         dataFreshness: {
           lastUpdated: data[0]?.updated_at || new Date(),
@@ -355,49 +352,35 @@ class DistrictController {
       }
 
       // Find state
-      const stateRecord = await State.findOne({
-        where: { 
-          stateName: { [Op.like]: state.toUpperCase() }
-        }
-      });
+      const resolvedState = await nameResolverService.resolveState(state);
+      const stateRecord = resolvedState.match;
 
       if (!stateRecord) {
         return res.status(404).json({
           success: false,
-          message: `State '${state}' not found`
+          message: nameResolverService.notFoundMessage('State', state, resolvedState.suggestions),
+          didYouMean: resolvedState.suggestions
         });
       }
 
       // Find district
-      const districtRecord = await District.findOne({
-        where: {
-          districtName: { [Op.like]: districtName.toUpperCase() },
-          stateCode: stateRecord.stateCode
-        }
-      });
+      const resolvedDistrict = await nameResolverService.resolveDistrict(districtName, { stateCode: stateRecord.stateCode });
+      const districtRecord = resolvedDistrict.match;
 
       if (!districtRecord) {
         return res.status(404).json({
           success: false,
-          message: `District '${districtName}' not found in state '${state}'`
+          message: nameResolverService.notFoundMessage('District', districtName, resolvedDistrict.suggestions, ` in state '${stateRecord.stateName}'`),
+          didYouMean: resolvedDistrict.suggestions
         });
       }
 
       // Get current financial year
-      const currentFinYear = await FinancialYear.findOne({
-        where: { isCurrent: true }
-      });
-
-      if (!currentFinYear) {
-        return res.status(404).json({
-          success: false,
-          message: 'Current financial year not found'
-        });
-      }
+      const currentFinYear = await dataProcessingService.getCurrentFinancialYear();
 
       // Generate list of financial years
       const yearsList = [];
-      const startYear = parseInt(currentFinYear.finYear.split('-')[0]);
+      const startYear = parseInt(currentFinYear.split('-')[0]);
       for (let i = 0; i < years; i++) {
         const year = startYear - i;
         yearsList.push(`${year}-${year + 1}`);
@@ -430,7 +413,7 @@ class DistrictController {
             required: false
           }
         ],
-        order: [['finYear', 'DESC'], ['month', 'DESC']]
+        order: [['finYear', 'DESC'], ['monthIndex', 'DESC']]
       });
 
       // Group by year for trend analysis
@@ -458,26 +441,25 @@ class DistrictController {
    */
   async getStateStatistics(req, res) {
     try {
-      const { state, finYear } = req.query;
+      const { state } = req.query;
+      const finYear = req.query.finYear || await dataProcessingService.getCurrentFinancialYear();
 
-      if (!state || !finYear) {
+      if (!state) {
         return res.status(400).json({
           success: false,
-          message: 'State name and financial year are required'
+          message: 'State name is required'
         });
       }
 
       // Find state
-      const stateRecord = await State.findOne({
-        where: { 
-          stateName: { [Op.like]: state.toUpperCase() }
-        }
-      });
+      const resolvedState = await nameResolverService.resolveState(state);
+      const stateRecord = resolvedState.match;
 
       if (!stateRecord) {
         return res.status(404).json({
           success: false,
-          message: `State '${state}' not found`
+          message: nameResolverService.notFoundMessage('State', state, resolvedState.suggestions),
+          didYouMean: resolvedState.suggestions
         });
       }
 
@@ -506,31 +488,64 @@ class DistrictController {
     }
   }
 
+  /**
+   * Get all-India statistics with a per-state breakdown and national benchmarks
+   * Accepts: finYear, month (both optional)
+   */
+  async getNationalStatistics(req, res) {
+    try {
+      const { month } = req.query;
+      const finYear = req.query.finYear || await dataProcessingService.getCurrentFinancialYear();
+
+      const statistics = await dataProcessingService.calculateNationalStatistics(finYear, month);
+
+      if (!statistics) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for ${finYear}${month ? ` ${month}` : ''}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: statistics,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error in getNationalStatistics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch national statistics',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Get top performing districts based on a metric
    */
   async getTopPerformers(req, res) {
     try {
-      const { state, finYear, metric = 'averageDaysEmployment', limit = 10 } = req.query;
+      const { state, metric = 'averageDaysEmployment', limit = 10 } = req.query;
+      const finYear = req.query.finYear || await dataProcessingService.getCurrentFinancialYear();
 
-      if (!state || !finYear) {
+      if (!state) {
         return res.status(400).json({
           success: false,
-          message: 'State name and financial year are required'
+          message: 'State name is required'
         });
       }
 
       // Find state
-      const stateRecord = await State.findOne({
-        where: { 
-          stateName: { [Op.like]: state.toUpperCase() }
-        }
-      });
+      const resolvedState = await nameResolverService.resolveState(state);
+      const stateRecord = resolvedState.match;
 
       if (!stateRecord) {
         return res.status(404).json({
           success: false,
-          message: `State '${state}' not found`
+          message: nameResolverService.notFoundMessage('State', state, resolvedState.suggestions),
+          didYouMean: resolvedState.suggestions
         });
       }
 
@@ -562,7 +577,8 @@ class DistrictController {
         success: true,
         data: data,
         metric: metric,
-        count: data.length
+        count: data.length,
+        ...(metric === 'performanceScore' && { scoringMethodology: dataProcessingService.getScoringVersion() })
       });
 
     } catch (error) {
@@ -577,92 +593,115 @@ class DistrictController {
 
   /**
    * Compare multiple districts
+   * Accepts: districtCodes, or districtNames with state (full name); finYear, years
    */
   async compareDistricts(req, res) {
     try {
-      const { districtNames, state, finYear } = req.body;
+      const { districtCodes, districtNames, state, years = 1 } = req.body;
+      const finYear = req.body.finYear || await dataProcessingService.getCurrentFinancialYear();
 
-      if (!districtNames || !Array.isArray(districtNames) || districtNames.length < 2) {
-        return res.status(400).json({
+      const { districts, unresolved } = await compareService.resolveDistricts({
+        districtCodes: districtCodes ? [...new Set(districtCodes)] : null,
+        districtNames: districtNames ? [...new Set(districtNames)] : null,
+        state
+      });
+
+      if (districts.length < 2) {
+        return res.status(404).json({
           success: false,
-          message: 'At least 2 district names required for comparison'
+          message: 'At least 2 districts must be found for comparison',
+          unresolved
         });
       }
 
-      if (!state || !finYear) {
-        return res.status(400).json({
-          success: false,
-          message: 'State name and financial year are required'
-        });
+      const finYears = [finYear];
+      while (finYears.length < years) {
+        finYears.push(dataProcessingService.getPreviousFinancialYear(finYears[finYears.length - 1]));
       }
 
-      // Find state
-      const stateRecord = await State.findOne({
-        where: { 
-          stateName: { [Op.like]: state.toUpperCase() }
-        }
-      });
+      const [current, ...previousYears] = await compareService.compareDistrictsOverYears(districts, finYears);
 
-      if (!stateRecord) {
+      if (!current.comparison) {
         return res.status(404).json({
           success: false,
-          message: `State '${state}' not found`
+          message: `No performance data found for these districts in ${finYear}`,
+          unresolved
         });
       }
 
-      // Find districts
-      const districts = await District.findAll({
-        where: {
-          districtName: { 
-            [Op.in]: districtNames.map(d => d.toUpperCase()) 
-          },
-          stateCode: stateRecord.stateCode
-        }
+      res.json({
+        success: true,
+        data: {
+          finYear,
+          month: current.month,
+          ...current.comparison,
+          missingData: current.missingData,
+          previousYears: previousYears.map(({ finYear: year, month, missingData, comparison }) => ({
+            finYear: year,
+            month,
+            ...comparison,
+            missingData
+          })),
+          unresolved
+        },
+        count: current.comparison.districts.length
+      });
+
+    } catch (error) {
+      logger.error('Error in compareDistricts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compare districts',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
+    }
+  }
 
-      const districtCodes = districts.map(d => d.districtCode);
+  /**
+   * Compare districts and whole states from any mix of states
+   * Accepts: districtCodes, stateCodes, finYear, month
+   */
+  async compareAcrossStates(req, res) {
+    try {
+      const districtCodes = [...new Set(req.body.districtCodes || [])];
+      const stateCodes = [...new Set(req.body.stateCodes || [])];
+      const finYear = req.body.finYear || await dataProcessingService.getCurrentFinancialYear();
 
-      const data = await DistrictPerformance.findAll({
-        where: {
-          districtCode: { [Op.in]: districtCodes },
-          finYear: finYear
-        },
-        include: [
-          {
-            model: District,
-            as: 'district',
-            include: [
-              {
-                model: State,
-                as: 'state'
-              }
-            ]
-          },
-          {
-            model: FinancialYear,
-            as: 'financialYear'
-          },
-          {
-            model: DistrictExtendedMetrics,
-            as: 'extendedMetrics',
-            required: false
-          }
-        ]
+      const unitCount = districtCodes.length + stateCodes.length;
+      if (unitCount < 2 || unitCount > 20) {
+        return res.status(400).json({
+          success: false,
+          message: 'Between 2 and 20 districts and states required for comparison'
+        });
+      }
+
+      const comparison = await compareService.compareUnits({
+        districtCodes,
+        stateCodes,
+        finYear,
+        month: req.body.month
       });
 
-      const comparison = dataProcessingService.generateComparison(data);
+      if (!comparison) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for ${finYear}${req.body.month ? ` (${req.body.month})` : ''}`
+        });
+      }
 
-      res.json({
+      return res.status(200).json({
         success: true,
-        data: comparison,
-        count: data.length
+        data: {
+          scoringMethodology: dataProcessingService.getScoringVersion(),
+          ...comparison
+        }
       });
 
     } catch (error) {
-      logger.error('Error in compareDistricts:', error);
-      res.status(500).json({
+      logger.error('Error in compareAcrossStates:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Failed to compare districts',
+        message: 'Failed to compare districts and states',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -683,11 +722,16 @@ class DistrictController {
       }
 
       // Find state
-      const stateRecord = await State.findOne({
-        where: { 
-          stateName: { [Op.like]: state.toUpperCase() }
-        }
-      });
+      const resolvedState = await nameResolverService.resolveState(state);
+      const stateRecord = resolvedState.match;
+
+      if (!stateRecord && resolvedState.suggestions.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: nameResolverService.notFoundMessage('State', state, resolvedState.suggestions),
+          didYouMean: resolvedState.suggestions
+        });
+      }
 
       // If state not found in DB, fetch from API directly
       if (!stateRecord) {
@@ -695,7 +739,7 @@ class DistrictController {
         
         
         try {
-          const apiDistricts = await mgnregaApiService.fetchDistrictsList(state);
+          const apiDistricts = await mgnregaApiService.fetchDistrictsList(lgdService.resolveState(state)?.name || state);
 
           console.log('trying the ultimate method');
           console.log(apiDistricts);
@@ -741,7 +785,7 @@ class DistrictController {
       if (!districts || districts.length === 0) {
         try {
           console.log('trying the fetchDistricrList');
-          const apiDistricts = await mgnregaApiService.fetchDistrictsList(state);
+          const apiDistricts = await mgnregaApiService.fetchDistrictsList(stateRecord.stateName);
           console.log(apiDistricts);
           
           return res.json({
@@ -845,40 +889,13 @@ class DistrictController {
   }
 
   /**
-   * Get district details with latest performance
+   * Get district details with latest performance by its LGD code
    */
   async getDistrictDetails(req, res) {
     try {
-      const { districtName } = req.params;
-      const { state } = req.query;
-
-      if (!districtName || !state) {
-        return res.status(400).json({
-          success: false,
-          message: 'District name and state name are required'
-        });
-      }
-
-      // Find state
-      const stateRecord = await State.findOne({
-        where: { 
-          stateName: { [Op.like]: state.toUpperCase() }
-        }
-      });
-
-      if (!stateRecord) {
-        return res.status(404).json({
-          success: false,
-          message: `State '${state}' not found`
-        });
-      }
+      const { districtCode } = req.params;
 
-      // Find district
-      const district = await District.findOne({
-        where: {
-          districtName: { [Op.like]: districtName.toUpperCase() },
-          stateCode: stateRecord.stateCode
-        },
+      const district = await District.findByPk(districtCode, {
         include: [
           {
             model: State,
@@ -898,8 +915,9 @@ class DistrictController {
                 required: false
               }
             ],
+            separate: true, // Needed for limit and order to apply per district
             limit: 12, // Last 12 months
-            order: [['finYear', 'DESC'], ['month', 'DESC']]
+            order: [['finYear', 'DESC'], ['monthIndex', 'DESC']]
           }
         ]
       });
@@ -907,7 +925,7 @@ class DistrictController {
       if (!district) {
         return res.status(404).json({
           success: false,
-          message: `District '${districtName}' not found in state '${state}'`
+          message: `District '${districtCode}' not found`
         });
       }
 
@@ -925,6 +943,668 @@ class DistrictController {
       });
     }
   }
+
+  /**
+   * Get latest performance for a district by its LGD code
+   * Accepts: finYear, includeComparisons, includeHistory, includeRankings, simplified, years
+   */
+  async getDistrictPerformance(req, res) {
+    try {
+      const { districtCode } = req.params;
+      const {
+        includeComparisons = false,
+        includeHistory = false,
+        includeRankings = false,
+        simplified = false,
+        years = 5
+      } = req.query;
+
+      const district = await District.findByPk(districtCode, {
+        include: [
+          {
+            model: State,
+            as: 'state',
+            attributes: ['stateCode', 'stateName']
+          }
+        ]
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+
+      const performances = await DistrictPerformance.findAll({
+        where: { districtCode, finYear },
+        include: simplified ? [] : [
+          {
+            model: DistrictExtendedMetrics,
+            as: 'extendedMetrics',
+            required: false
+          }
+        ]
+      });
+
+      if (performances.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${finYear}`
+        });
+      }
+
+      const latest = dataProcessingService.getLatestByFiscalMonth(performances);
+
+      const data = {
+        district: {
+          districtCode: district.districtCode,
+          districtName: district.districtName,
+          stateCode: district.state?.stateCode,
+          stateName: district.state?.stateName
+        },
+        finYear,
+        month: latest.month,
+        performance: simplified ? dataProcessingService.simplifyPerformance(latest) : latest.toJSON(),
+        performanceScore: dataProcessingService.getPerformanceScore(latest),
+        performanceGrade: dataProcessingService.getPerformanceGrade(latest)
+      };
+
+      data.scoringMethodology = dataProcessingService.getScoringVersion();
+      data.dataQuality = {
+        hasAnomalies: Boolean(latest.hasAnomalies),
+        anomalies: latest.hasAnomalies ? await anomalyService.getForPerformances([latest.id]) : []
+      };
+      if (!simplified) {
+        data.scoreBreakdown = dataProcessingService.getPerformanceScoreBreakdown(latest).components;
+      }
+
+      if (includeComparisons) {
+        // Compare against the same month, since upstream figures are cumulative
+        const [stateAverages, nationalAverages] = await Promise.all([
+          dataProcessingService.calculateMetricAverages({ finYear, month: latest.month, stateCode: district.stateCode }),
+          dataProcessingService.calculateMetricAverages({ finYear, month: latest.month })
+        ]);
+
+        data.comparisons = {
+          month: latest.month,
+          district: dataProcessingService.pickMetrics(latest),
+          stateAverage: stateAverages,
+          nationalAverage: nationalAverages
+        };
+      }
+
+      if (includeRankings) {
+        data.rankings = await dataProcessingService.calculateDistrictRankings(districtCode, finYear, latest.month);
+      }
+
+      if (includeHistory) {
+        const { startYear } = dataProcessingService.parseFinancialYear(finYear);
+        const yearsList = [];
+        for (let i = 0; i < parseInt(years); i++) {
+          yearsList.push(`${startYear - i}-${startYear - i + 1}`);
+        }
+
+        const historical = await DistrictPerformance.findAll({
+          where: {
+            districtCode,
+            finYear: { [Op.in]: yearsList }
+          }
+        });
+
+        data.history = dataProcessingService.buildYearlyHistory(historical, { simplified });
+      }
+
+      const lastUpdated = latest.updated_at;
+      return res.status(200).json({
+        success: true,
+        data,
+        timestamp: new Date().toISOString(),
+        dataFreshness: {
+          lastUpdated,
+          isStale: Date.now() - new Date(lastUpdated).getTime() > MAX_STALENESS_MS
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getDistrictPerformance:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch district performance',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Compare a district's figures for the same fiscal month across financial years
+   * Accepts: finYear (most recent year), years, month (defaults to the latest month of finYear)
+   */
+  async getDistrictYearOverYear(req, res) {
+    try {
+      const { districtCode } = req.params;
+      const { years = 2 } = req.query;
+
+      const district = await District.findByPk(districtCode, {
+        attributes: ['districtCode', 'districtName', 'stateCode']
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+
+      let month = req.query.month;
+      if (!month) {
+        const performances = await DistrictPerformance.findAll({
+          where: { districtCode, finYear },
+          attributes: ['month', 'monthIndex']
+        });
+        month = dataProcessingService.getLatestByFiscalMonth(performances)?.month;
+      }
+
+      if (!month) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${finYear}`
+        });
+      }
+
+      const { startYear } = dataProcessingService.parseFinancialYear(finYear);
+      const yearsList = [];
+      for (let i = 0; i < parseInt(years); i++) {
+        yearsList.push(`${startYear - i}-${startYear - i + 1}`);
+      }
+
+      const performances = await DistrictPerformance.findAll({
+        where: {
+          districtCode,
+          finYear: { [Op.in]: yearsList },
+          monthIndex: dataProcessingService.getFiscalMonthIndex(month)
+        }
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          district: {
+            districtCode: district.districtCode,
+            districtName: district.districtName,
+            stateCode: district.stateCode
+          },
+          ...dataProcessingService.buildYearOverYear(performances, yearsList, month)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getDistrictYearOverYear:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch year-over-year comparison',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Project a district's year-end persondays, 100-day households and expenditure
+   * Accepts: finYear (defaults to current), historyYears
+   */
+  async getDistrictProjection(req, res) {
+    try {
+      const { districtCode } = req.params;
+      const { historyYears = 5 } = req.query;
+
+      const district = await District.findByPk(districtCode, {
+        attributes: ['districtCode', 'districtName', 'stateCode']
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+      const projection = await projectionService.projectYearEnd(districtCode, finYear, {
+        historyYears: parseInt(historyYears)
+      });
+
+      if (!projection) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${finYear}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          district: {
+            districtCode: district.districtCode,
+            districtName: district.districtName,
+            stateCode: district.stateCode
+          },
+          ...projection
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getDistrictProjection:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to project year-end figures',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Track a district's persondays against its labour budget and its wage share, month by month
+   * Accepts: finYear (defaults to current)
+   */
+  async getDistrictBudget(req, res) {
+    try {
+      const { districtCode } = req.params;
+
+      const district = await District.findByPk(districtCode, {
+        attributes: ['districtCode', 'districtName', 'stateCode']
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+      const budget = await budgetService.getDistrictBudget(districtCode, finYear);
+
+      if (!budget) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${finYear}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          district: {
+            districtCode: district.districtCode,
+            districtName: district.districtName,
+            stateCode: district.stateCode
+          },
+          ...budget
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getDistrictBudget:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch budget tracking',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * List a state's districts by budget pace (behind, on track, ahead)
+   * Accepts: stateCode, finYear (defaults to current), status
+   */
+  async getStateBudget(req, res) {
+    try {
+      const { stateCode, status } = req.query;
+      const finYear = req.query.finYear || await dataProcessingService.getCurrentFinancialYear();
+
+      const state = await State.findByPk(stateCode);
+      if (!state) {
+        return res.status(404).json({
+          success: false,
+          message: `State '${stateCode}' not found`
+        });
+      }
+
+      const budget = await budgetService.getStateBudget(stateCode, finYear, { status });
+
+      if (!budget) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for state '${stateCode}' in ${finYear}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          stateName: state.stateName,
+          ...budget
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getStateBudget:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch state budget tracking',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a district's rank and percentile on each headline metric, in its state and nationally
+   * Accepts: finYear, month (defaults to the district's latest month in the year)
+   */
+  async getDistrictRankings(req, res) {
+    try {
+      const { districtCode } = req.params;
+
+      const district = await District.findByPk(districtCode, {
+        attributes: ['districtCode', 'districtName', 'stateCode']
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+
+      let month = req.query.month;
+      if (!month) {
+        const performances = await DistrictPerformance.findAll({
+          where: { districtCode, finYear },
+          attributes: ['month', 'monthIndex']
+        });
+        month = dataProcessingService.getLatestByFiscalMonth(performances)?.month;
+      }
+
+      const rankings = month
+        ? await dataProcessingService.calculateDistrictRankings(districtCode, finYear, month)
+        : null;
+
+      if (!rankings) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${finYear}${req.query.month ? ` (${month})` : ''}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          district: {
+            districtCode: district.districtCode,
+            districtName: district.districtName,
+            stateCode: district.stateCode
+          },
+          scoringMethodology: dataProcessingService.getScoringVersion(),
+          ...rankings
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getDistrictRankings:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch district rankings',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Find districts of similar size across all states, with their performance
+   * Accepts: finYear, limit, excludeSameState
+   */
+  async getSimilarDistricts(req, res) {
+    try {
+      const { districtCode } = req.params;
+      const { limit = 10, excludeSameState = false } = req.query;
+
+      const district = await District.findByPk(districtCode, {
+        attributes: ['districtCode', 'districtName', 'stateCode']
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+      const peers = await peerService.findSimilarDistricts(districtCode, finYear, { limit, excludeSameState });
+
+      if (!peers) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${finYear}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          district: {
+            districtCode: district.districtCode,
+            districtName: district.districtName,
+            stateCode: district.stateCode
+          },
+          scoringMethodology: dataProcessingService.getScoringVersion(),
+          ...peers
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getSimilarDistricts:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to find similar districts',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a district's month-by-month series for one financial year
+   * Accepts: finYear, view (cumulative | monthly)
+   */
+  async getDistrictMonthlySeries(req, res) {
+    try {
+      const { districtCode } = req.params;
+      const { view = 'cumulative' } = req.query;
+
+      const district = await District.findByPk(districtCode, {
+        attributes: ['districtCode', 'districtName', 'stateCode']
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+
+      const performances = await DistrictPerformance.findAll({
+        where: { districtCode, finYear }
+      });
+
+      if (performances.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${finYear}`
+        });
+      }
+
+      const months = dataProcessingService.buildMonthlySeries(performances, { view });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          district: {
+            districtCode: district.districtCode,
+            districtName: district.districtName,
+            stateCode: district.stateCode
+          },
+          finYear,
+          view,
+          monthsAvailable: months.filter(m => m.available).length,
+          months
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getDistrictMonthlySeries:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch monthly series',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get one metric for a district as fiscal-month series across several years
+   * Accepts: metric, finYear (most recent year), years
+   */
+  async getDistrictTimeSeries(req, res) {
+    try {
+      const { districtCode } = req.params;
+      const { metric, years = 3 } = req.query;
+
+      const district = await District.findByPk(districtCode, {
+        attributes: ['districtCode', 'districtName', 'stateCode']
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+      const { startYear } = dataProcessingService.parseFinancialYear(finYear);
+      const yearsList = [];
+      for (let i = 0; i < parseInt(years); i++) {
+        yearsList.push(`${startYear - i}-${startYear - i + 1}`);
+      }
+
+      const performances = await DistrictPerformance.findAll({
+        where: {
+          districtCode,
+          finYear: { [Op.in]: yearsList }
+        },
+        attributes: ['finYear', 'month', 'monthIndex', 'hasAnomalies', metric],
+        order: [['finYear', 'ASC'], ['monthIndex', 'ASC']]
+      });
+
+      if (performances.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${yearsList.join(', ')}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          district: {
+            districtCode: district.districtCode,
+            districtName: district.districtName,
+            stateCode: district.stateCode
+          },
+          ...dataProcessingService.buildTimeSeries(performances, metric, yearsList)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getDistrictTimeSeries:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch time series',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a compact summary for a district (low-bandwidth clients)
+   * Accepts: finYear
+   */
+  async getDistrictSummary(req, res) {
+    try {
+      const { districtCode } = req.params;
+
+      const district = await District.findByPk(districtCode, {
+        attributes: ['districtCode', 'districtName', 'stateCode', 'localNames'],
+        include: [
+          {
+            model: State,
+            as: 'state',
+            attributes: ['stateName', 'localNames']
+          }
+        ]
+      });
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: `District '${districtCode}' not found`
+        });
+      }
+
+      const finYear = await dataProcessingService.resolveDistrictFinYear(districtCode, req.query.finYear);
+
+      const performances = await DistrictPerformance.findAll({
+        where: { districtCode, finYear },
+        attributes: summaryService.getPerformanceAttributes()
+      });
+
+      if (performances.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No performance data found for district '${districtCode}' in ${finYear}`
+        });
+      }
+
+      const latest = dataProcessingService.getLatestByFiscalMonth(performances);
+      // Translated here rather than only on the way out, so the size check sees what is sent
+      const body = i18nService.localize({
+        success: true,
+        data: summaryService.buildSummary(district, latest, req.lang)
+      }, req.lang);
+
+      if (!summaryService.isWithinBudget(body)) {
+        logger.warn(`Summary for ${districtCode} is ${summaryService.getSize(body)} bytes, over the ${summaryService.sizeBudgetBytes} byte budget`);
+      }
+
+      return res.status(200).json(body);
+
+    } catch (error) {
+      logger.error('Error in getDistrictSummary:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch district summary',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 }
 
 module.exports = new DistrictController();
\ No newline at end of file
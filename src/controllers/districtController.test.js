@@ -0,0 +1,42 @@
+jest.mock('../config/redis', () => ({}));
+
+const { District } = require('../models/index');
+const districtController = require('./districtController');
+
+// Just enough of an Express response to record what the handler sent
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('getDistrictDetails', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('loads the district by the code in the path, newest fiscal month first', async () => {
+    const district = { districtCode: '188', districtName: 'PATNA', performances: [] };
+    const findByPk = jest.spyOn(District, 'findByPk').mockResolvedValue(district);
+    const res = mockResponse();
+
+    await districtController.getDistrictDetails({ params: { districtCode: '188' }, query: {} }, res);
+
+    expect(findByPk.mock.calls[0][0]).toBe('188');
+    const performances = findByPk.mock.calls[0][1].include.find(({ as }) => as === 'performances');
+    expect(performances).toMatchObject({ separate: true, limit: 12, order: [['finYear', 'DESC'], ['monthIndex', 'DESC']] });
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: district });
+  });
+
+  it('answers 404 for an unknown code', async () => {
+    jest.spyOn(District, 'findByPk').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await districtController.getDistrictDetails({ params: { districtCode: '99999' }, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: "District '99999' not found" });
+  });
+});
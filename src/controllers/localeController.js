@@ -0,0 +1,58 @@
+const i18nService = require('../services/i18nService');
+const logger = require('../utils/logger');
+
+class LocaleController {
+  /**
+   * List the response languages the API supports
+   */
+  async listLanguages(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: i18nService.listLanguages(),
+        current: req.lang
+      });
+
+    } catch (error) {
+      logger.error('Error in listLanguages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch languages',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Translation catalog for one language, so clients can label metrics offline
+   */
+  async getCatalog(req, res) {
+    try {
+      const { lang } = req.params;
+      const catalog = i18nService.getCatalog(lang);
+
+      if (!catalog) {
+        return res.status(404).json({
+          success: false,
+          message: `Language '${lang}' not found`,
+          supported: i18nService.supportedLanguages
+        });
+      }
+
+      res.json({
+        success: true,
+        data: catalog
+      });
+
+    } catch (error) {
+      logger.error('Error in getCatalog:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch translation catalog',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new LocaleController();
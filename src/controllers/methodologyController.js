@@ -0,0 +1,56 @@
+const scoringService = require('../services/scoringService');
+const logger = require('../utils/logger');
+
+class MethodologyController {
+  /**
+   * Describe the active scoring methodology and list the available versions
+   */
+  async getActiveMethodology(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: scoringService.describe(),
+        versions: scoringService.listMethodologies()
+      });
+
+    } catch (error) {
+      logger.error('Error in getActiveMethodology:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch scoring methodology',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Describe one scoring methodology version
+   */
+  async getMethodologyVersion(req, res) {
+    try {
+      const { version } = req.params;
+
+      if (!scoringService.listMethodologies().some(methodology => methodology.version === version)) {
+        return res.status(404).json({
+          success: false,
+          message: `Scoring methodology '${version}' not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: scoringService.describe(version)
+      });
+
+    } catch (error) {
+      logger.error('Error in getMethodologyVersion:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch scoring methodology',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new MethodologyController();
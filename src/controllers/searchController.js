@@ -0,0 +1,32 @@
+const searchService = require('../services/searchService');
+const logger = require('../utils/logger');
+
+class SearchController {
+  /**
+   * Autocomplete states and districts
+   * Accepts: q, type (state | district), stateCode, limit
+   */
+  async search(req, res) {
+    try {
+      const { q, type, stateCode, limit = 10 } = req.query;
+
+      const results = await searchService.search(q, { type, stateCode, limit });
+
+      res.json({
+        success: true,
+        data: results,
+        count: results.length
+      });
+
+    } catch (error) {
+      logger.error('Error in search:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search states and districts',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new SearchController();
@@ -0,0 +1,30 @@
+const logger = require('../utils/logger');
+
+// Admin endpoints require "Authorization: Bearer <ADMIN_API_KEY>"
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access is not configured on this server'
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (token !== adminKey) {
+    logger.warn(`Rejected admin request from IP: ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or missing admin credentials'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,22 @@
+const i18nService = require('../services/i18nService');
+const nameResolverService = require('../services/nameResolverService');
+
+/**
+ * Picks the response language from ?lang= or Accept-Language and translates JSON
+ * responses into it (see i18nService). English responses pass through untouched.
+ */
+const locale = (req, res, next) => {
+  req.lang = i18nService.negotiate(req.query.lang, req.get('Accept-Language'));
+  res.set('Content-Language', req.lang);
+  res.vary('Accept-Language');
+
+  if (req.lang === i18nService.defaultLanguage) return next();
+
+  // Local state and district names come from the cached name index; until it has
+  // loaded, only the text is translated
+  const json = res.json.bind(res);
+  res.json = (body) => json(i18nService.localize(body, req.lang, nameResolverService.peekIndex()));
+  next();
+};
+
+module.exports = locale;
@@ -0,0 +1,35 @@
+// src/migrations/001-create-states.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Databases created with sequelize.sync() before migrations already have this table
+    if (await queryInterface.tableExists('states')) return;
+
+    await queryInterface.createTable('states', {
+      state_code: {
+        type: Sequelize.STRING(10),
+        primaryKey: true
+      },
+      state_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    });
+
+    await queryInterface.addIndex('states', ['state_name'], { name: 'states_state_name' });
+  },
+
+  // up adopts a table that already exists, so down cannot tell whether dropping it would lose data
+  irreversible: true,
+
+  async down() {
+    throw new Error('001-create-states is a baseline migration and cannot be reverted');
+  }
+};
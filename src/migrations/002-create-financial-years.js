@@ -0,0 +1,38 @@
+// src/migrations/002-create-financial-years.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Databases created with sequelize.sync() before migrations already have this table
+    if (await queryInterface.tableExists('financial_years')) return;
+
+    await queryInterface.createTable('financial_years', {
+      fin_year: {
+        type: Sequelize.STRING(10),
+        primaryKey: true
+      },
+      start_year: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      end_year: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    });
+
+    await queryInterface.addIndex('financial_years', ['start_year'], { name: 'financial_years_start_year' });
+  },
+
+  // up adopts a table that already exists, so down cannot tell whether dropping it would lose data
+  irreversible: true,
+
+  async down() {
+    throw new Error('002-create-financial-years is a baseline migration and cannot be reverted');
+  }
+};
@@ -0,0 +1,44 @@
+// src/migrations/003-create-districts.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Databases created with sequelize.sync() before migrations already have this table
+    if (await queryInterface.tableExists('districts')) return;
+
+    await queryInterface.createTable('districts', {
+      district_code: {
+        type: Sequelize.STRING(20),
+        primaryKey: true
+      },
+      district_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      state_code: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        references: {
+          model: 'states',
+          key: 'state_code'
+        },
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    });
+
+    await queryInterface.addIndex('districts', ['state_code'], { name: 'districts_state_code' });
+    await queryInterface.addIndex('districts', ['district_name'], { name: 'districts_district_name' });
+  },
+
+  // up adopts a table that already exists, so down cannot tell whether dropping it would lose data
+  irreversible: true,
+
+  async down() {
+    throw new Error('003-create-districts is a baseline migration and cannot be reverted');
+  }
+};
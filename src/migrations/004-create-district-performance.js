@@ -0,0 +1,93 @@
+// src/migrations/004-create-district-performance.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Databases created with sequelize.sync() before migrations already have this table
+    if (await queryInterface.tableExists('district_performance')) return;
+
+    await queryInterface.createTable('district_performance', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      district_code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        references: {
+          model: 'districts',
+          key: 'district_code'
+        },
+        onUpdate: 'CASCADE'
+      },
+      fin_year: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        references: {
+          model: 'financial_years',
+          key: 'fin_year'
+        },
+        onUpdate: 'CASCADE'
+      },
+      month: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+
+      // Key Performance Metrics
+      approved_labour_budget: { type: Sequelize.BIGINT, defaultValue: 0 },
+      average_wage_rate: { type: Sequelize.DECIMAL(10, 2), defaultValue: 0.00 },
+      average_days_employment: { type: Sequelize.DECIMAL(10, 2), defaultValue: 0.00 },
+      total_households_worked: { type: Sequelize.INTEGER, defaultValue: 0 },
+      total_individuals_worked: { type: Sequelize.INTEGER, defaultValue: 0 },
+
+      // Work Statistics
+      completed_works: { type: Sequelize.INTEGER, defaultValue: 0 },
+      ongoing_works: { type: Sequelize.INTEGER, defaultValue: 0 },
+
+      // Person-days Data
+      women_persondays: { type: Sequelize.DECIMAL(15, 2), defaultValue: 0.00 },
+      sc_persondays: { type: Sequelize.INTEGER, defaultValue: 0 },
+      st_persondays: { type: Sequelize.INTEGER, defaultValue: 0 },
+
+      // Financial Data
+      total_expenditure: { type: Sequelize.BIGINT, defaultValue: 0 },
+      wages: { type: Sequelize.BIGINT, defaultValue: 0 },
+
+      // Achievement Metrics
+      households_100_days: { type: Sequelize.INTEGER, defaultValue: 0 },
+      payment_within_15_days: { type: Sequelize.DECIMAL(10, 2), defaultValue: 0.00 },
+
+      // Performance Score
+      performance_score: { type: Sequelize.INTEGER, defaultValue: 0 },
+      performance_grade: { type: Sequelize.STRING(5) },
+
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    });
+
+    await queryInterface.addIndex('district_performance', ['district_code', 'fin_year', 'month'], {
+      name: 'uk_district_year_month',
+      unique: true
+    });
+    await queryInterface.addIndex('district_performance', ['fin_year', 'month'], { name: 'idx_fin_year_month' });
+    await queryInterface.addIndex('district_performance', ['district_code', 'fin_year'], { name: 'idx_district_year' });
+    await queryInterface.addIndex('district_performance', ['performance_score'], { name: 'idx_performance_score' });
+    await queryInterface.addIndex('district_performance', ['created_at'], { name: 'idx_created_at' });
+  },
+
+  // up adopts a table that already exists, so down cannot tell whether dropping it would lose data
+  irreversible: true,
+
+  async down() {
+    throw new Error('004-create-district-performance is a baseline migration and cannot be reverted');
+  }
+};
@@ -0,0 +1,65 @@
+// src/migrations/005-create-district-extended-metrics.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Databases created with sequelize.sync() before migrations already have this table
+    if (await queryInterface.tableExists('district_extended_metrics')) return;
+
+    await queryInterface.createTable('district_extended_metrics', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      performance_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'district_performance',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+
+      // Worker Statistics
+      total_workers: { type: Sequelize.INTEGER, defaultValue: 0 },
+      total_active_workers: { type: Sequelize.INTEGER, defaultValue: 0 },
+      total_jobcards_issued: { type: Sequelize.INTEGER, defaultValue: 0 },
+      total_active_jobcards: { type: Sequelize.INTEGER, defaultValue: 0 },
+      sc_workers_active: { type: Sequelize.INTEGER, defaultValue: 0 },
+      st_workers_active: { type: Sequelize.INTEGER, defaultValue: 0 },
+      differently_abled_worked: { type: Sequelize.INTEGER, defaultValue: 0 },
+
+      // Work Category Percentages
+      percent_nrm_expenditure: { type: Sequelize.DECIMAL(10, 2), defaultValue: 0.00 },
+      percent_category_b_works: { type: Sequelize.DECIMAL(10, 2), defaultValue: 0.00 },
+      percent_agriculture_allied: { type: Sequelize.DECIMAL(10, 2), defaultValue: 0.00 },
+
+      // Additional Financial
+      total_admin_expenditure: { type: Sequelize.DECIMAL(15, 2), defaultValue: 0.00 },
+      material_skilled_wages: { type: Sequelize.DECIMAL(15, 2), defaultValue: 0.00 },
+
+      // Liability
+      persondays_central_liability: { type: Sequelize.BIGINT, defaultValue: 0 },
+
+      // Work Statistics
+      total_works_takenup: { type: Sequelize.INTEGER, defaultValue: 0 },
+      gps_with_nil_exp: { type: Sequelize.INTEGER, defaultValue: 0 },
+
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    });
+  },
+
+  // up adopts a table that already exists, so down cannot tell whether dropping it would lose data
+  irreversible: true,
+
+  async down() {
+    throw new Error('005-create-district-extended-metrics is a baseline migration and cannot be reverted');
+  }
+};
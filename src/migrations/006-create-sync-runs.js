@@ -0,0 +1,48 @@
+// src/migrations/006-create-sync-runs.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sync_runs', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      state_name: { type: Sequelize.STRING(100), allowNull: true },
+      fin_year: { type: Sequelize.STRING(10), allowNull: true },
+      district_name: { type: Sequelize.STRING(100), allowNull: true },
+      triggered_by: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'manual' },
+      status: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'running' },
+      started_at: { type: Sequelize.DATE, allowNull: false },
+      finished_at: { type: Sequelize.DATE, allowNull: true },
+
+      // Fetch Statistics
+      pages_fetched: { type: Sequelize.INTEGER, defaultValue: 0 },
+      records_fetched: { type: Sequelize.INTEGER, defaultValue: 0 },
+      records_upserted: { type: Sequelize.INTEGER, defaultValue: 0 },
+      response_bytes: { type: Sequelize.BIGINT, defaultValue: 0 },
+
+      // Errors
+      error_count: { type: Sequelize.INTEGER, defaultValue: 0 },
+      error_log: { type: Sequelize.JSON, allowNull: true },
+
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    });
+
+    await queryInterface.addIndex('sync_runs', ['state_name', 'fin_year'], { name: 'idx_sync_state_year' });
+    await queryInterface.addIndex('sync_runs', ['started_at'], { name: 'idx_sync_started_at' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('sync_runs');
+  }
+};
@@ -0,0 +1,17 @@
+// src/migrations/007-add-financial-year-is-current.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('financial_years', 'is_current', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addIndex('financial_years', ['is_current'], { name: 'financial_years_is_current' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('financial_years', 'financial_years_is_current');
+    await queryInterface.removeColumn('financial_years', 'is_current');
+  }
+};
@@ -0,0 +1,38 @@
+// src/migrations/008-add-performance-increments.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('district_performance', 'persondays', {
+      type: Sequelize.BIGINT,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('district_performance', 'households_worked_increment', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('district_performance', 'persondays_increment', {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('district_performance', 'expenditure_increment', {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('district_performance', 'completed_works_increment', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('district_performance', 'increment_months', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('district_performance', 'increment_months');
+    await queryInterface.removeColumn('district_performance', 'completed_works_increment');
+    await queryInterface.removeColumn('district_performance', 'expenditure_increment');
+    await queryInterface.removeColumn('district_performance', 'persondays_increment');
+    await queryInterface.removeColumn('district_performance', 'households_worked_increment');
+    await queryInterface.removeColumn('district_performance', 'persondays');
+  }
+};
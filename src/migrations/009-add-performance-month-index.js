@@ -0,0 +1,27 @@
+// src/migrations/009-add-performance-month-index.js
+// Month names sort alphabetically, so store each row's position in the financial year (April = 1)
+const FISCAL_MONTH_PREFIXES = ['APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC', 'JAN', 'FEB', 'MAR'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('district_performance', 'month_index', {
+      type: Sequelize.TINYINT,
+      allowNull: true
+    });
+
+    // Backfill existing rows; upstream mixes full and abbreviated month names
+    await queryInterface.sequelize.query(
+      `UPDATE district_performance
+       SET month_index = NULLIF(FIELD(LEFT(UPPER(TRIM(month)), 3), ${FISCAL_MONTH_PREFIXES.map(m => `'${m}'`).join(', ')}), 0)`
+    );
+
+    await queryInterface.addIndex('district_performance', ['district_code', 'fin_year', 'month_index'], {
+      name: 'idx_district_year_month_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('district_performance', 'idx_district_year_month_index');
+    await queryInterface.removeColumn('district_performance', 'month_index');
+  }
+};
@@ -0,0 +1,13 @@
+// src/migrations/010-add-performance-score-version.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('district_performance', 'score_version', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('district_performance', 'score_version');
+  }
+};
@@ -0,0 +1,65 @@
+// src/migrations/011-create-data-anomalies.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('data_anomalies', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      performance_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: { model: 'district_performance', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      district_code: { type: Sequelize.STRING(20), allowNull: false },
+      fin_year: { type: Sequelize.STRING(10), allowNull: false },
+      month: { type: Sequelize.STRING(20), allowNull: false },
+
+      // Detection
+      metric: { type: Sequelize.STRING(50), allowNull: false },
+      rule: { type: Sequelize.STRING(50), allowNull: false },
+      severity: { type: Sequelize.STRING(10), allowNull: false, defaultValue: 'warning' },
+      value: { type: Sequelize.DOUBLE, allowNull: true },
+      reference_value: { type: Sequelize.DOUBLE, allowNull: true },
+      message: { type: Sequelize.STRING(255), allowNull: false },
+      detected_at: { type: Sequelize.DATE, allowNull: false },
+
+      // Review
+      status: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'open' },
+      review_note: { type: Sequelize.STRING(500), allowNull: true },
+      reviewed_at: { type: Sequelize.DATE, allowNull: true },
+
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    });
+
+    await queryInterface.addIndex('data_anomalies', ['performance_id', 'metric', 'rule'], {
+      name: 'uk_anomaly_performance_metric_rule',
+      unique: true
+    });
+    await queryInterface.addIndex('data_anomalies', ['status'], { name: 'idx_anomaly_status' });
+    await queryInterface.addIndex('data_anomalies', ['district_code', 'fin_year'], { name: 'idx_anomaly_district_year' });
+
+    await queryInterface.addColumn('district_performance', 'has_anomalies', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('district_performance', 'has_anomalies');
+    await queryInterface.dropTable('data_anomalies');
+  }
+};
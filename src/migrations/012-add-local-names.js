@@ -0,0 +1,19 @@
+// src/migrations/012-add-local-names.js
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Names in Hindi and regional scripts, keyed by language code: { "hi": "...", "ta": "..." }
+    await queryInterface.addColumn('states', 'local_names', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('districts', 'local_names', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('districts', 'local_names');
+    await queryInterface.removeColumn('states', 'local_names');
+  }
+};
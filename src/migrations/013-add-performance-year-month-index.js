@@ -0,0 +1,13 @@
+// src/migrations/013-add-performance-year-month-index.js
+// National, ranking and comparison queries select every district's row for a year by month_index
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.addIndex('district_performance', ['fin_year', 'month_index'], {
+      name: 'idx_fin_year_month_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('district_performance', 'idx_fin_year_month_index');
+  }
+};
@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DataAnomaly = sequelize.define('DataAnomaly', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  performanceId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'performance_id',
+    references: {
+      model: 'district_performance',
+      key: 'id'
+    }
+  },
+  districtCode: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'district_code'
+  },
+  finYear: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    field: 'fin_year'
+  },
+  month: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'month'
+  },
+
+  // Detection
+  metric: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'metric'
+  },
+  rule: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'rule'
+  },
+  severity: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'warning',
+    field: 'severity'
+  },
+  value: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    field: 'value'
+  },
+  referenceValue: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    field: 'reference_value'
+  },
+  message: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'message'
+  },
+  detectedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'detected_at'
+  },
+
+  // Review
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'open',
+    field: 'status'
+  },
+  reviewNote: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'review_note'
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reviewed_at'
+  }
+}, {
+  tableName: 'data_anomalies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      name: 'uk_anomaly_performance_metric_rule',
+      fields: ['performance_id', 'metric', 'rule']
+    },
+    {
+      name: 'idx_anomaly_status',
+      fields: ['status']
+    },
+    {
+      name: 'idx_anomaly_district_year',
+      fields: ['district_code', 'fin_year']
+    }
+  ]
+});
+
+module.exports = DataAnomaly;
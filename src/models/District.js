@@ -20,6 +20,11 @@ const District = sequelize.define('District', {
       model: 'states',
       key: 'state_code'
     }
+  },
+  localNames: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'local_names'
   }
 }, {
   tableName: 'districts',
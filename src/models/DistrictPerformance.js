@@ -30,6 +30,12 @@ const DistrictPerformance = sequelize.define('DistrictPerformance', {
     allowNull: false,
     field: 'month'
   },
+  // Position in the financial year (April = 1 ... March = 12), used for ordering
+  monthIndex: {
+    type: DataTypes.TINYINT,
+    allowNull: true,
+    field: 'month_index'
+  },
   
   // Key Performance Metrics
   approvedLabourBudget: {
@@ -76,6 +82,11 @@ const DistrictPerformance = sequelize.define('DistrictPerformance', {
     defaultValue: 0.00,
     field: 'women_persondays'
   },
+  persondays: {
+    type: DataTypes.BIGINT,
+    defaultValue: 0,
+    field: 'persondays'
+  },
   scPersondays: {
     type: DataTypes.INTEGER,
     defaultValue: 0,
@@ -111,6 +122,34 @@ const DistrictPerformance = sequelize.define('DistrictPerformance', {
     field: 'payment_within_15_days'
   },
   
+  // Monthly Increments (upstream figures are cumulative year-to-date)
+  householdsWorkedIncrement: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'households_worked_increment'
+  },
+  persondaysIncrement: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'persondays_increment'
+  },
+  expenditureIncrement: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'expenditure_increment'
+  },
+  completedWorksIncrement: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'completed_works_increment'
+  },
+  // Fiscal months the increment covers; more than 1 means earlier months were missing
+  incrementMonths: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'increment_months'
+  },
+  
   // Performance Score
   performanceScore: {
     type: DataTypes.INTEGER,
@@ -120,6 +159,20 @@ const DistrictPerformance = sequelize.define('DistrictPerformance', {
   performanceGrade: {
     type: DataTypes.STRING(5),
     field: 'performance_grade'
+  },
+  // Scoring methodology version that produced the stored score
+  scoreVersion: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'score_version'
+  },
+
+  // Data Quality - set when the row has anomalies that have not been dismissed
+  hasAnomalies: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'has_anomalies'
   }
 }, {
   tableName: 'district_performance',
@@ -136,6 +189,14 @@ const DistrictPerformance = sequelize.define('DistrictPerformance', {
       name: 'idx_fin_year_month',
       fields: ['fin_year', 'month']
     },
+    {
+      name: 'idx_district_year_month_index',
+      fields: ['district_code', 'fin_year', 'month_index']
+    },
+    {
+      name: 'idx_fin_year_month_index',
+      fields: ['fin_year', 'month_index']
+    },
     {
       name: 'idx_district_year',
       fields: ['district_code', 'fin_year']
@@ -16,6 +16,12 @@ const FinancialYear = sequelize.define('FinancialYear', {
     type: DataTypes.INTEGER,
     allowNull: false,
     field: 'end_year'
+  },
+  isCurrent: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_current'
   }
 }, {
   tableName: 'financial_years',
@@ -25,6 +31,9 @@ const FinancialYear = sequelize.define('FinancialYear', {
   indexes: [
     {
       fields: ['start_year']
+    },
+    {
+      fields: ['is_current']
     }
   ]
 });
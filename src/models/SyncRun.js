@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SyncRun = sequelize.define('SyncRun', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  stateName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'state_name'
+  },
+  finYear: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    field: 'fin_year'
+  },
+  districtName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'district_name'
+  },
+  trigger: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'manual',
+    field: 'triggered_by'
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'running',
+    field: 'status'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'started_at'
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finished_at'
+  },
+
+  // Fetch Statistics
+  pagesFetched: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'pages_fetched'
+  },
+  recordsFetched: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'records_fetched'
+  },
+  recordsUpserted: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'records_upserted'
+  },
+  responseBytes: {
+    type: DataTypes.BIGINT,
+    defaultValue: 0,
+    field: 'response_bytes'
+  },
+
+  // Errors
+  errorCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'error_count'
+  },
+  errorLog: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'error_log'
+  }
+}, {
+  tableName: 'sync_runs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      name: 'idx_sync_state_year',
+      fields: ['state_name', 'fin_year']
+    },
+    {
+      name: 'idx_sync_started_at',
+      fields: ['started_at']
+    }
+  ]
+});
+
+module.exports = SyncRun;
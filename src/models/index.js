@@ -4,6 +4,8 @@ const District = require('./District');
 const FinancialYear = require('./FinancialYear');
 const DistrictPerformance = require('./DistrictPerformance');
 const DistrictExtendedMetrics = require('./DistrictExtendedMetrics');
+const SyncRun = require('./SyncRun');
+const DataAnomaly = require('./DataAnomaly');
 // const DistrictDataArchive = require('./DistrictDataArchive');
 
 // Define Associations
@@ -55,6 +57,18 @@ DistrictExtendedMetrics.belongsTo(DistrictPerformance, {
   as: 'performance'
 });
 
+DistrictPerformance.hasMany(DataAnomaly, {
+  foreignKey: 'performanceId',
+  sourceKey: 'id',
+  as: 'anomalies'
+});
+
+DataAnomaly.belongsTo(DistrictPerformance, {
+  foreignKey: 'performanceId',
+  targetKey: 'id',
+  as: 'performance'
+});
+
 // REMOVE THIS - DistrictDataArchive is not imported
 // DistrictPerformance.hasOne(DistrictDataArchive, {
 //   foreignKey: 'performanceId',
@@ -70,5 +84,7 @@ module.exports = {
   FinancialYear,
   DistrictPerformance,
   DistrictExtendedMetrics,
+  SyncRun,
+  DataAnomaly,
   // DistrictDataArchive
 };
\ No newline at end of file
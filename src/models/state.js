@@ -12,6 +12,11 @@ const State = sequelize.define('State', {
     allowNull: false,
     unique: true,
     field: 'state_name'
+  },
+  localNames: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'local_names'
   }
 }, {
   tableName: 'states',
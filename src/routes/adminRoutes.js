@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { query, body, param, validationResult } = require('express-validator');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      errors: errors.array() 
+    });
+  }
+  next();
+};
+
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/admin/sync-runs
+ * @desc    Get recent sync runs, newest first
+ * @access  Admin
+ */
+router.get('/sync-runs',
+  [
+    query('state')
+      .optional()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Invalid state name'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('status')
+      .optional()
+      .isIn(['running', 'success', 'partial', 'failed'])
+      .withMessage('Invalid status'),
+    query('trigger')
+      .optional()
+      .isIn(['scheduled', 'api', 'bulk', 'manual'])
+      .withMessage('Invalid trigger'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer')
+  ],
+  validate,
+  adminController.getSyncRuns
+);
+
+/**
+ * @route   GET /api/admin/anomalies
+ * @desc    Get detected data anomalies for review, newest first
+ * @access  Admin
+ */
+router.get('/anomalies',
+  [
+    query('status')
+      .optional()
+      .isIn(['open', 'confirmed', 'dismissed'])
+      .withMessage('Invalid status'),
+    query('districtCode')
+      .optional()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('rule')
+      .optional()
+      .isIn(['negative_value', 'above_maximum', 'exceeds_total', 'month_over_month_jump', 'cumulative_decrease', 'increment_outlier'])
+      .withMessage('Invalid rule'),
+    query('severity')
+      .optional()
+      .isIn(['error', 'warning'])
+      .withMessage('Invalid severity'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer')
+  ],
+  validate,
+  adminController.getAnomalies
+);
+
+/**
+ * @route   PATCH /api/admin/anomalies/:id
+ * @desc    Confirm or dismiss an anomaly; dismissed anomalies no longer flag the record
+ * @access  Admin
+ */
+router.patch('/anomalies/:id',
+  [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Invalid anomaly id'),
+    body('status')
+      .isIn(['open', 'confirmed', 'dismissed'])
+      .withMessage('Status must be open, confirmed or dismissed'),
+    body('note')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Note must be at most 500 characters')
+  ],
+  validate,
+  adminController.reviewAnomaly
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const districtController = require('../controllers/districtController');
-const { query, body, param, validationResult } = require('express-validator');
+const { query, body, param, oneOf, validationResult } = require('express-validator');
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -45,47 +45,26 @@ router.get('/list',
 );
 
 /**
- * @route   GET /api/districts/:districtCode
- * @desc    Get district details with latest performance
- * @access  Public
- */
-router.get('/:districtCode',
-  [
-    param('districtCode')
-      .notEmpty()
-      .withMessage('District code is required')
-      .isLength({ min: 1, max: 20 })
-      .withMessage('Invalid district code format')
-  ],
-  validate,
-  districtController.getDistrictDetails
-);
-
-/**
- * @route   GET /api/districts
- * @desc    Get district performance data
+ * @route   GET /api/districts/budget
+ * @desc    Get every district in a state by labour budget pace (behind, on track, ahead)
  * @access  Public
  */
-router.get('/',
+router.get('/budget',
   [
-    query('state')
-      .notEmpty()
-      .withMessage('State  is required'),
-    query('finYear')  // Change from year to finYear
+    query('stateCode')
       .notEmpty()
-      .withMessage('Financial year is required')
+      .withMessage('State code is required'),
+    query('finYear')
+      .optional()
       .matches(/^\d{4}-\d{4}$/)
       .withMessage('Invalid financial year format'),
-    query('district')
-      .notEmpty()
-      .withMessage('Invalid district  format'),
-    query('month')
+    query('status')
       .optional()
-      .isIn(['APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER', 'JANUARY', 'FEBRUARY', 'MARCH'])
-      .withMessage('Invalid month. Must be uppercase month name')
+      .isIn(['behind', 'on_track', 'ahead', 'no_budget'])
+      .withMessage('Status must be behind, on_track, ahead or no_budget')
   ],
   validate,
-  districtController.getDistrictData
+  districtController.getStateBudget
 );
 
 /**
@@ -118,8 +97,7 @@ router.get('/statistics',
       .notEmpty()
       .withMessage('State code is required'),
     query('finYear')
-      .notEmpty()
-      .withMessage('Financial year is required')
+      .optional()
       .matches(/^\d{4}-\d{4}$/)
       .withMessage('Invalid financial year format')
   ],
@@ -127,6 +105,26 @@ router.get('/statistics',
   districtController.getStateStatistics
 );
 
+/**
+ * @route   GET /api/districts/statistics/national
+ * @desc    Get all-India statistics, broken down by state, with national benchmarks
+ * @access  Public
+ */
+router.get('/statistics/national',
+  [
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('month')
+      .optional()
+      .isIn(['APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER', 'JANUARY', 'FEBRUARY', 'MARCH'])
+      .withMessage('Invalid month. Must be uppercase month name')
+  ],
+  validate,
+  districtController.getNationalStatistics
+);
+
 /**
  * @route   GET /api/districts/top-performers
  * @desc    Get top performing districts
@@ -138,8 +136,7 @@ router.get('/top-performers',
       .notEmpty()
       .withMessage('State code is required'),
     query('finYear')
-      .notEmpty()
-      .withMessage('Financial year is required')
+      .optional()
       .matches(/^\d{4}-\d{4}$/)
       .withMessage('Invalid financial year format'),
     query('metric')
@@ -152,7 +149,8 @@ router.get('/top-performers',
         'completedWorks',
         'womenPersondays',
         'totalExpenditure',
-        'paymentWithin15Days'
+        'paymentWithin15Days',
+        'performanceScore'
       ])
       .withMessage('Invalid metric'),
     query('limit')
@@ -164,28 +162,392 @@ router.get('/top-performers',
   districtController.getTopPerformers
 );
 
+// Per-district routes. /:districtCode matches any single segment, so static paths go above it
+
+/**
+ * @route   GET /api/districts/:districtCode/performance
+ * @desc    Get latest performance for a district, optionally with comparisons and history
+ * @access  Public
+ */
+router.get('/:districtCode/performance',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('includeComparisons')
+      .optional()
+      .isBoolean()
+      .withMessage('includeComparisons must be true or false')
+      .toBoolean(),
+    query('includeHistory')
+      .optional()
+      .isBoolean()
+      .withMessage('includeHistory must be true or false')
+      .toBoolean(),
+    query('includeRankings')
+      .optional()
+      .isBoolean()
+      .withMessage('includeRankings must be true or false')
+      .toBoolean(),
+    query('simplified')
+      .optional()
+      .isBoolean()
+      .withMessage('simplified must be true or false')
+      .toBoolean(),
+    query('years')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Years must be between 1 and 10')
+      .toInt()
+  ],
+  validate,
+  districtController.getDistrictPerformance
+);
+
+/**
+ * @route   GET /api/districts/:districtCode/yoy
+ * @desc    Compare the same fiscal month across financial years for a district
+ * @access  Public
+ */
+router.get('/:districtCode/yoy',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('years')
+      .optional()
+      .isInt({ min: 2, max: 10 })
+      .withMessage('Years must be between 2 and 10')
+      .toInt(),
+    query('month')
+      .optional()
+      .isIn(['APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER', 'JANUARY', 'FEBRUARY', 'MARCH'])
+      .withMessage('Invalid month. Must be uppercase month name')
+  ],
+  validate,
+  districtController.getDistrictYearOverYear
+);
+
+/**
+ * @route   GET /api/districts/:districtCode/projection
+ * @desc    Project year-end persondays, 100-day households and expenditure from stored data
+ * @access  Public
+ */
+router.get('/:districtCode/projection',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('historyYears')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('historyYears must be between 1 and 10')
+      .toInt()
+  ],
+  validate,
+  districtController.getDistrictProjection
+);
+
+/**
+ * @route   GET /api/districts/:districtCode/budget
+ * @desc    Get a district's labour budget and wage share track for the year
+ * @access  Public
+ */
+router.get('/:districtCode/budget',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format')
+  ],
+  validate,
+  districtController.getDistrictBudget
+);
+
+/**
+ * @route   GET /api/districts/:districtCode/rankings
+ * @desc    Get a district's rank and percentile per metric within its state and nationally
+ * @access  Public
+ */
+router.get('/:districtCode/rankings',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('month')
+      .optional()
+      .isIn(['APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER', 'JANUARY', 'FEBRUARY', 'MARCH'])
+      .withMessage('Invalid month. Must be uppercase month name')
+  ],
+  validate,
+  districtController.getDistrictRankings
+);
+
+/**
+ * @route   GET /api/districts/:districtCode/peers
+ * @desc    Get the districts most similar in size across all states, with their performance
+ * @access  Public
+ */
+router.get('/:districtCode/peers',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+      .toInt(),
+    query('excludeSameState')
+      .optional()
+      .isBoolean()
+      .withMessage('excludeSameState must be true or false')
+      .toBoolean()
+  ],
+  validate,
+  districtController.getSimilarDistricts
+);
+
+/**
+ * @route   GET /api/districts/:districtCode/monthly
+ * @desc    Get a district's monthly series as cumulative or per-month figures
+ * @access  Public
+ */
+router.get('/:districtCode/monthly',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('view')
+      .optional()
+      .isIn(['cumulative', 'monthly'])
+      .withMessage('View must be cumulative or monthly')
+  ],
+  validate,
+  districtController.getDistrictMonthlySeries
+);
+
+/**
+ * @route   GET /api/districts/:districtCode/timeseries
+ * @desc    Get one metric as an April-March series for each of several financial years
+ * @access  Public
+ */
+router.get('/:districtCode/timeseries',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('metric')
+      .notEmpty()
+      .withMessage('Metric is required')
+      .isIn([
+        'averageDaysEmployment',
+        'averageWageRate',
+        'totalHouseholdsWorked',
+        'totalIndividualsWorked',
+        'completedWorks',
+        'womenPersondays',
+        'persondays',
+        'totalExpenditure',
+        'paymentWithin15Days',
+        'households100Days'
+      ])
+      .withMessage('Invalid metric'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('years')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Years must be between 1 and 10')
+      .toInt()
+  ],
+  validate,
+  districtController.getDistrictTimeSeries
+);
+
+/**
+ * @route   GET /api/districts/:districtCode/summary
+ * @desc    Get a compact district summary for low-bandwidth clients
+ * @access  Public
+ */
+router.get('/:districtCode/summary',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    query('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format')
+  ],
+  validate,
+  districtController.getDistrictSummary
+);
+
+/**
+ * @route   GET /api/districts/:districtCode
+ * @desc    Get district details with latest performance
+ * @access  Public
+ */
+router.get('/:districtCode',
+  [
+    param('districtCode')
+      .notEmpty()
+      .withMessage('District code is required')
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format')
+  ],
+  validate,
+  districtController.getDistrictDetails
+);
+
+/**
+ * @route   GET /api/districts
+ * @desc    Get district performance data
+ * @access  Public
+ */
+router.get('/',
+  [
+    query('state')
+      .notEmpty()
+      .withMessage('State is required'),
+    query('finYear')  // Defaults to the current financial year
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    query('district')
+      .notEmpty()
+      .withMessage('Invalid district format'),
+    query('month')
+      .optional()
+      .isIn(['APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER', 'JANUARY', 'FEBRUARY', 'MARCH'])
+      .withMessage('Invalid month. Must be uppercase month name')
+  ],
+  validate,
+  districtController.getDistrictData
+);
+
 /**
  * @route   POST /api/districts/compare
- * @desc    Compare multiple districts
+ * @desc    Compare multiple districts by code, or by name within a state
  * @access  Public
  */
 router.post('/compare',
   [
-    body('districtCodes')
-      .isArray({ min: 2, max: 10 })
-      .withMessage('Between 2 and 10 district codes required for comparison'),
+    oneOf([
+      body('districtCodes')
+        .isArray({ min: 2, max: 10 }),
+      [
+        body('districtNames')
+          .isArray({ min: 2, max: 10 }),
+        body('state')
+          .isString()
+          .notEmpty()
+      ]
+    ], { message: 'Provide 2 to 10 districtCodes, or 2 to 10 districtNames with a state' }),
     body('districtCodes.*')
       .isString()
       .isLength({ min: 1, max: 20 })
       .withMessage('Invalid district code format'),
+    body('districtNames.*')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Invalid district name'),
     body('finYear')
-      .notEmpty()
-      .withMessage('Financial year is required')
+      .optional()
       .matches(/^\d{4}-\d{4}$/)
-      .withMessage('Invalid financial year format')
+      .withMessage('Invalid financial year format'),
+    body('years')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Years must be between 1 and 5')
+      .toInt()
   ],
   validate,
   districtController.compareDistricts
 );
 
+/**
+ * @route   POST /api/districts/compare/cross-state
+ * @desc    Compare districts and whole states from any states on normalised metrics
+ * @access  Public
+ */
+router.post('/compare/cross-state',
+  [
+    body('districtCodes')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('districtCodes must be an array of up to 20 codes'),
+    body('districtCodes.*')
+      .isString()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid district code format'),
+    body('stateCodes')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('stateCodes must be an array of up to 20 codes'),
+    body('stateCodes.*')
+      .isString()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Invalid state code format'),
+    body('finYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Invalid financial year format'),
+    body('month')
+      .optional()
+      .isIn(['APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER', 'JANUARY', 'FEBRUARY', 'MARCH'])
+      .withMessage('Invalid month. Must be uppercase month name')
+  ],
+  validate,
+  districtController.compareAcrossStates
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+jest.mock('../config/redis', () => ({}));
+
+const districtRoutes = require('./districtRoutes');
+
+const getRoutes = districtRoutes.stack.filter(layer => layer.route && layer.route.methods.get);
+
+describe('district routes', () => {
+  getRoutes
+    .filter(layer => !layer.route.path.includes(':'))
+    .forEach(layer => {
+      const { path } = layer.route;
+
+      it(`serves GET ${path} from its own route`, () => {
+        const first = getRoutes.find(candidate => candidate.match(path));
+        expect(first.route.path).toBe(path);
+      });
+    });
+});
@@ -1,12 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const districtRoutes = require('./districtRoutes');
+const adminRoutes = require('./adminRoutes');
+const methodologyRoutes = require('./methodologyRoutes');
+const searchRoutes = require('./searchRoutes');
+const localeRoutes = require('./localeRoutes');
 // const analyticsRoutes = require('./analyticsRoutes');
 // const userRoutes = require('./userRoutes');
 
 // District data routes - Primary feature
 router.use('/districts', districtRoutes);
 
+// Admin routes - Sync status and operations
+router.use('/admin', adminRoutes);
+
+// Methodology routes - How performance scores are calculated
+router.use('/methodology', methodologyRoutes);
+
+// Search routes - Autocomplete for state and district names
+router.use('/search', searchRoutes);
+
+// Locale routes - Supported languages and translation catalogs
+router.use('/locales', localeRoutes);
+
 // Analytics routes - Track usage patterns
 // router.use('/analytics', analyticsRoutes);
 
@@ -34,6 +50,7 @@ router.get('/', (req, res) => {
       step1: 'GET /api/states - Get list of all states',
       step2: 'GET /api/districts/list?stateCode={CODE} - Get districts in selected state',
       step3: 'GET /api/districts/{districtCode}/performance - Get district performance data',
+      shortcut: 'GET /api/search?q={typed text} - Find a state or district directly (replaces steps 1-2)',
       optional: 'Add query params for comparisons, history, or simplified view'
     },
 
@@ -52,10 +69,10 @@ router.get('/', (req, res) => {
             description: 'Get list of districts in a state',
             cached: '24 hours',
             params: 'stateCode (required)',
-            example: '/api/districts/list?stateCode=KL'
+            example: '/api/districts/list?stateCode=32'
           },
           '/financial-years': {
-            description: 'Get available financial years',
+            description: 'Get available financial years (isCurrent marks the current April-March year)',
             cached: '24 hours',
             params: 'None',
             example: '/api/financial-years'
@@ -76,16 +93,82 @@ router.get('/', (req, res) => {
                 finYear: 'Financial year (optional, defaults to current) e.g., 2024-2025',
                 includeComparisons: 'Include state & national averages (optional, default: false)',
                 includeHistory: 'Include historical trend data (optional, default: false)',
+                years: 'Years of history when includeHistory=true (optional, default: 5, max: 10)',
+                includeRankings: 'Include rank and percentile per metric in the state and nationally (optional, default: false)',
                 simplified: 'Return simplified metrics for low-literacy users (optional, default: false)'
               }
             },
             examples: {
-              basic: '/api/districts/KL001/performance',
-              withYear: '/api/districts/KL001/performance?finYear=2024-2025',
-              withComparisons: '/api/districts/KL001/performance?includeComparisons=true',
-              simplified: '/api/districts/KL001/performance?simplified=true',
-              complete: '/api/districts/KL001/performance?finYear=2024-2025&includeComparisons=true&includeHistory=true'
-            }
+              basic: '/api/districts/589/performance',
+              withYear: '/api/districts/589/performance?finYear=2024-2025',
+              withComparisons: '/api/districts/589/performance?includeComparisons=true',
+              simplified: '/api/districts/589/performance?simplified=true',
+              complete: '/api/districts/589/performance?finYear=2024-2025&includeComparisons=true&includeHistory=true'
+            },
+            notes: 'Records with data anomalies carry hasAnomalies: true, and dataQuality lists the anomalies so figures can be caveated.'
+          },
+          '/districts/:districtCode/yoy': {
+            description: 'Compare the same fiscal month across financial years, with absolute and percentage change per metric',
+            params: {
+              path: 'districtCode (required)',
+              query: 'finYear (optional, most recent year), years (optional, 2-10, default 2), month (optional, defaults to the latest month of finYear)'
+            },
+            notes: 'Each year is compared with the year before it. direction is up, down or unchanged; percentChange is null when the earlier value is 0.',
+            example: '/api/districts/589/yoy?years=3'
+          },
+          '/districts/:districtCode/projection': {
+            description: 'Project year-end persondays, households completing 100 days and expenditure, with the labour budget outlook',
+            params: {
+              path: 'districtCode (required)',
+              query: 'finYear (optional, defaults to current), historyYears (optional, 1-10, default 5)'
+            },
+            notes: 'Uses the share of the year-end total the district reached by the same month in past years (method: seasonal), or the pace so far when there is no history (method: linear). low and high form an 80% band.',
+            example: '/api/districts/589/projection'
+          },
+          '/districts/:districtCode/budget': {
+            description: 'Track persondays against the approved labour budget and the wage share of expenditure, month by month',
+            params: {
+              path: 'districtCode (required)',
+              query: 'finYear (optional, defaults to current)'
+            },
+            notes: 'The labour budget is set in persondays. status compares utilisation with the expected pace for the month (the district\'s past seasonality, or an even pace): behind, on_track or ahead within 10%.',
+            example: '/api/districts/589/budget'
+          },
+          '/districts/:districtCode/rankings': {
+            description: 'Get rank and percentile for each headline metric within the state and nationally',
+            params: {
+              path: 'districtCode (required)',
+              query: 'finYear (optional), month (optional, defaults to the latest month with data)'
+            },
+            notes: 'Higher values rank first and ties share a rank. Percentile is the share of other districts the district is ahead of, counting ties as half.',
+            example: '/api/districts/589/rankings?finYear=2024-2025'
+          },
+          '/districts/:districtCode/peers': {
+            description: 'Find the districts most similar in size (households worked, job cards, approved labour budget) across all states, with their performance',
+            params: {
+              path: 'districtCode (required)',
+              query: 'finYear (optional, defaults to current), limit (optional, 1-50, default 10), excludeSameState (optional boolean)'
+            },
+            notes: 'All districts are compared at the district\'s latest month. Sizes are log-scaled; similarity is 100 for an identical size profile. benchmark compares the district with the median of its peers.',
+            example: '/api/districts/589/peers?limit=5'
+          },
+          '/districts/:districtCode/monthly': {
+            description: 'Get 12 fiscal months of figures, cumulative year-to-date or per-month increments',
+            params: {
+              path: 'districtCode (required)',
+              query: 'finYear (optional), view (optional: cumulative | monthly, default cumulative)'
+            },
+            notes: 'Missing months are listed with available: false. A monthly increment covering a gap has incrementMonths > 1.',
+            example: '/api/districts/589/monthly?finYear=2024-2025&view=monthly'
+          },
+          '/districts/:districtCode/timeseries': {
+            description: 'Get one metric as an April-March series per financial year, ready for charting',
+            params: {
+              path: 'districtCode (required)',
+              query: 'metric (required), finYear (optional, most recent year), years (optional, 1-10, default 3)'
+            },
+            notes: 'Each series has 12 values in fiscal order (April first); months without data are null.',
+            example: '/api/districts/589/timeseries?metric=totalHouseholdsWorked&years=3'
           },
           '/districts/:districtCode/summary': {
             description: 'Get simplified summary (optimized for rural users with low bandwidth)',
@@ -94,14 +177,14 @@ router.get('/', (req, res) => {
               path: 'districtCode (required)',
               query: 'finYear (optional)'
             },
-            example: '/api/districts/KL001/summary',
-            responseSize: '~5-10 KB (very small)'
+            example: '/api/districts/589/summary',
+            responseSize: 'Under 2 KB in every language (size budget covered by tests; oversize summaries are logged)'
           },
           '/districts/:districtCode': {
             description: 'Get district details with latest performance',
             cached: '24 hours',
             params: 'districtCode (path parameter)',
-            example: '/api/districts/KL001'
+            example: '/api/districts/589'
           }
         }
       },
@@ -117,41 +200,171 @@ router.get('/', (req, res) => {
               path: 'districtCode (required)',
               query: 'years (optional, default: 5, max: 10)'
             },
-            example: '/api/districts/KL001/history?years=5'
+            example: '/api/districts/589/history?years=5'
           },
           '/districts/top-performers': {
             description: 'Get top performing districts in a state',
             cached: '24 hours',
             params: {
               stateCode: 'required',
-              finYear: 'required',
-              metric: 'optional (default: averageDaysEmployment)',
+              finYear: 'optional (defaults to current financial year)',
+              metric: 'optional (default: averageDaysEmployment; use performanceScore to rank by the stored 0-100 score)',
               limit: 'optional (default: 10, max: 50)'
             },
-            example: '/api/districts/top-performers?stateCode=KL&finYear=2024-2025&metric=averageDaysEmployment&limit=10'
+            example: '/api/districts/top-performers?stateCode=32&finYear=2024-2025&metric=averageDaysEmployment&limit=10'
           },
           '/statistics': {
             description: 'Get state-level aggregated statistics',
             cached: '24 hours',
-            params: 'stateCode, finYear (both required)',
-            example: '/api/districts/statistics?stateCode=KL&finYear=2024-2025'
+            params: 'stateCode (required), finYear (optional, defaults to current)',
+            example: '/api/districts/statistics?stateCode=32&finYear=2024-2025'
+          },
+          '/districts/budget': {
+            description: 'List a state\'s districts by labour budget pace, furthest behind first, with state totals',
+            params: {
+              stateCode: 'required',
+              finYear: 'optional (defaults to current financial year)',
+              status: 'optional (behind, on_track, ahead, no_budget)'
+            },
+            example: '/api/districts/budget?stateCode=32&status=behind'
+          },
+          '/districts/statistics/national': {
+            description: 'Get all-India statistics with a per-state breakdown and national benchmarks (average, median, quartiles)',
+            cached: '24 hours',
+            params: {
+              finYear: 'optional (defaults to current financial year)',
+              month: 'optional (defaults to each district\'s latest month; figures are year-to-date and monthsReported shows the months covered)'
+            },
+            example: '/api/districts/statistics/national?finYear=2024-2025'
           }
         },
         POST: {
           '/districts/compare': {
-            description: 'Compare multiple districts side-by-side',
+            description: 'Compare multiple districts side-by-side, with per-metric winners and optional earlier years',
             cached: '24 hours',
             body: {
               districtCodes: 'Array of district codes (2-10 districts)',
-              finYear: 'Financial year (required)'
+              districtNames: 'Array of district names (2-10), used with state when districtCodes is not given',
+              state: 'State name (required with districtNames)',
+              finYear: 'Financial year (optional, defaults to current)',
+              years: 'Number of financial years to compare, ending at finYear (optional, 1-5, default 1)'
             },
+            notes: 'Within a year every district is compared at the latest month all of them have reported. Tied districts share a rank. Identifiers that do not match are listed under unresolved; districts without data for the month under missingData.',
             example: {
               url: '/api/districts/compare',
               body: {
-                districtCodes: ['KL001', 'KL002', 'KL003'],
+                districtCodes: ['589', '590', '591'],
                 finYear: '2024-2025'
               }
             }
+          },
+          '/districts/compare/cross-state': {
+            description: 'Compare any mix of districts and whole states, from any states, on size-independent metrics with state and national figures',
+            body: {
+              districtCodes: 'Array of district codes (optional)',
+              stateCodes: 'Array of state codes (optional); at least 2 units in total, at most 20',
+              finYear: 'Financial year (optional, defaults to current)',
+              month: 'Month (optional, defaults to each district\'s latest month; figures are year-to-date and monthsReported shows the months covered)'
+            },
+            notes: 'Each district is compared at the given month, or else at its own latest month. States combine their districts: counts are summed and rates weighted by households (wage rate by persondays). Ranks are tie-aware; units with no data are listed under unavailable and unknown codes under notFound.',
+            example: {
+              url: '/api/districts/compare/cross-state',
+              body: {
+                districtCodes: ['589', '1803'],
+                stateCodes: ['32'],
+                finYear: '2024-2025'
+              }
+            }
+          }
+        }
+      },
+
+      // ===== Search =====
+      search: {
+        description: 'Autocomplete for place names',
+        GET: {
+          '/search': {
+            description: 'Ranked states and districts matching typed text, each with its type, code and parent state',
+            params: {
+              q: 'required (2-100 characters)',
+              type: 'optional (state or district)',
+              stateCode: 'optional, limits results to districts of one state',
+              limit: 'optional (default: 10, max: 50)'
+            },
+            notes: 'Exact names rank first, then prefixes, word prefixes and substrings; official names outrank aliases and former names, and romanisation variants match last. The index is held in memory and rebuilt after each sync.',
+            example: '/api/v1/search?q=beng'
+          }
+        }
+      },
+
+      // ===== Languages =====
+      locales: {
+        description: 'Hindi and regional-language responses',
+        GET: {
+          '/locales': {
+            description: 'Supported response languages: en, hi, bn, mr, ta, te',
+            example: '/api/v1/locales'
+          },
+          '/locales/:lang': {
+            description: 'Translation catalog for a language: grade and metric labels, metric names and message templates',
+            example: '/api/v1/locales/hi'
+          }
+        },
+        notes: 'Every endpoint answers in the language given by ?lang= or, failing that, the Accept-Language header, and names it in Content-Language. Messages and labels are translated, objects with a metric gain metricName, and state and district names gain stateNameLocal, districtNameLocal or nameLocal where a local name is stored. Codes, field names and enum values stay in English; text without a translation falls back to English.'
+      },
+
+      // ===== Scoring Methodology =====
+      methodology: {
+        description: 'How performance scores and grades are calculated',
+        GET: {
+          '/methodology': {
+            description: 'Describe the active scoring methodology (components, weights, targets, grade bands) and list all versions',
+            example: '/api/v1/methodology'
+          },
+          '/methodology/:version': {
+            description: 'Describe a specific methodology version',
+            example: '/api/v1/methodology/v1'
+          }
+        },
+        notes: 'Responses that include a performance score name the methodology version in scoringMethodology.'
+      },
+
+      // ===== Admin (requires Authorization: Bearer <ADMIN_API_KEY>) =====
+      admin: {
+        description: 'Operational endpoints for monitoring data syncs',
+        GET: {
+          '/admin/sync-runs': {
+            description: 'Get recent sync runs (pages fetched, records upserted, errors, response size)',
+            cached: 'Never',
+            params: {
+              state: 'optional, full state name',
+              finYear: 'optional',
+              status: 'optional (running, success, partial, failed)',
+              trigger: 'optional (scheduled, api, bulk, manual)',
+              limit: 'optional (default: 50, max: 200)',
+              offset: 'optional (default: 0)'
+            },
+            example: '/api/v1/admin/sync-runs?state=KERALA&finYear=2024-2025'
+          },
+          '/admin/anomalies': {
+            description: 'Get data anomalies flagged during ingestion (impossible values, month-over-month outliers)',
+            cached: 'Never',
+            params: {
+              status: 'optional (open, confirmed, dismissed)',
+              districtCode: 'optional',
+              finYear: 'optional',
+              rule: 'optional (negative_value, above_maximum, exceeds_total, month_over_month_jump, cumulative_decrease, increment_outlier)',
+              severity: 'optional (error, warning)',
+              limit: 'optional (default: 50, max: 200)',
+              offset: 'optional (default: 0)'
+            },
+            example: '/api/v1/admin/anomalies?status=open&severity=error'
+          }
+        },
+        PATCH: {
+          '/admin/anomalies/:id': {
+            description: 'Confirm or dismiss an anomaly. Records stay flagged (hasAnomalies) until all their anomalies are dismissed.',
+            body: { status: 'required (open, confirmed, dismissed)', note: 'optional, max 500 chars' }
           }
         }
       },
@@ -163,14 +376,14 @@ router.get('/', (req, res) => {
           '/districts': {
             description: 'Get all districts performance data (use carefully - large response)',
             deprecated: 'Consider using /districts/:districtCode/performance instead',
-            params: 'stateCode, finYear (required), districtCode, month (optional)',
-            example: '/api/districts?stateCode=KL&finYear=2024-2025&districtCode=KL001'
+            params: 'stateCode (required), finYear (optional, defaults to current), districtCode, month (optional)',
+            example: '/api/districts?stateCode=32&finYear=2024-2025&districtCode=589'
           },
           '/districts/historical': {
             description: 'Get historical data (legacy)',
             deprecated: 'Use /districts/:districtCode/history instead',
             params: 'districtCode (required), years (optional)',
-            example: '/api/districts/historical?districtCode=KL001&years=5'
+            example: '/api/districts/historical?districtCode=589&years=5'
           }
         }
       }
@@ -214,9 +427,11 @@ router.get('/', (req, res) => {
     // Parameters format guide
     parameterFormats: {
       stateCode: 'String (2-10 chars) e.g., "KL", "UP", "MH"',
-      districtCode: 'String (max 20 chars) e.g., "KL001", "UP042"',
+      districtCode: 'String (max 20 chars) e.g., "589", "UP042"',
       finYear: 'String in format YYYY-YYYY e.g., "2024-2025"',
-      month: 'Uppercase month name e.g., "JANUARY", "FEBRUARY"'
+      month: 'Uppercase month name e.g., "JANUARY", "FEBRUARY"',
+      lang: 'Language code: en (default), hi, bn, mr, ta or te. Region subtags are ignored ("hi-IN")',
+      stateAndDistrictNames: 'Any case. Former names ("Gurgaon"), common aliases ("Bangalore Rural"), other romanisations ("Kanchipuram") and small typos are matched; input matching several places or none returns 404 with didYouMean suggestions'
     },
 
     // Available metrics for filtering/sorting
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const localeController = require('../controllers/localeController');
+
+/**
+ * @route   GET /api/locales
+ * @desc    List supported response languages
+ * @access  Public
+ */
+router.get('/', localeController.listLanguages);
+
+/**
+ * @route   GET /api/locales/:lang
+ * @desc    Translation catalog (labels, metric names, messages) for a language
+ * @access  Public
+ */
+router.get('/:lang', localeController.getCatalog);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const methodologyController = require('../controllers/methodologyController');
+
+/**
+ * @route   GET /api/methodology
+ * @desc    Describe the active performance scoring methodology
+ * @access  Public
+ */
+router.get('/', methodologyController.getActiveMethodology);
+
+/**
+ * @route   GET /api/methodology/:version
+ * @desc    Describe a specific scoring methodology version
+ * @access  Public
+ */
+router.get('/:version', methodologyController.getMethodologyVersion);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { query, validationResult } = require('express-validator');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/search
+ * @desc    Autocomplete states and districts by prefix, substring or alias
+ * @access  Public
+ */
+router.get('/',
+  [
+    query('q')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('q must be between 2 and 100 characters'),
+    query('type')
+      .optional()
+      .isIn(['state', 'district'])
+      .withMessage('Type must be state or district'),
+    query('stateCode')
+      .optional()
+      .isLength({ min: 1, max: 10 })
+      .withMessage('Invalid state code format'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+      .toInt()
+  ],
+  validate,
+  searchController.search
+);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+// src/scripts/importLgdDistricts.js
+// Builds src/data/lgd/districts.json from the official LGD "All Districts" CSV export.
+// Usage: npm run lgd:import -- /path/to/districts.csv
+const fs = require('fs');
+const path = require('path');
+const lgdStates = require('../data/lgd/states.json');
+
+const OUTPUT_FILE = path.join(__dirname, '../data/lgd/districts.json');
+
+/**
+ * Parse CSV text into rows, handling quoted fields with commas and escaped quotes
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+  return rows;
+};
+
+// Find a column by trying header names used across LGD export versions
+const findColumn = (headers, candidates) => {
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  return normalized.findIndex(h => candidates.some(candidate => h === candidate || h.startsWith(candidate)));
+};
+
+const main = () => {
+  const inputFile = process.argv[2];
+  if (!inputFile) {
+    console.error('Usage: npm run lgd:import -- /path/to/districts.csv');
+    process.exit(1);
+  }
+
+  const [headers, ...rows] = parseCsv(fs.readFileSync(inputFile, 'utf8').replace(/^\uFEFF/, ''));
+
+  const stateCodeCol = findColumn(headers, ['state code', 'state lgd code']);
+  const districtCodeCol = findColumn(headers, ['district code', 'district lgd code']);
+  const districtNameCol = findColumn(headers, ['district name (in english)', 'district name']);
+  const localNameCol = findColumn(headers, ['district name (in local)', 'local name']);
+
+  if (stateCodeCol === -1 || districtCodeCol === -1 || districtNameCol === -1) {
+    console.error(`Could not find state code, district code and district name columns in: ${headers.join(', ')}`);
+    process.exit(1);
+  }
+
+  // Keep aliases and local names maintained by hand across re-imports
+  const existing = fs.existsSync(OUTPUT_FILE) ? JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf8')) : [];
+  const existingAliases = new Map(existing.map(d => [d.lgdCode, d.aliases || []]));
+  const existingLocalNames = new Map(existing.map(d => [d.lgdCode, d.localNames || {}]));
+  const knownStates = new Set(lgdStates.map(s => s.lgdCode));
+  const stateLanguages = new Map(lgdStates.map(s => [s.lgdCode, s.language]));
+
+  const districts = [];
+  const skipped = [];
+
+  rows.forEach(row => {
+    const stateLgdCode = String(parseInt(row[stateCodeCol]));
+    const lgdCode = String(parseInt(row[districtCodeCol]));
+    const name = (row[districtNameCol] || '').trim().toUpperCase().replace(/\s+/g, ' ');
+
+    if (lgdCode === 'NaN' || !name || !knownStates.has(stateLgdCode)) {
+      skipped.push(row.join(','));
+      return;
+    }
+
+    // The LGD local name is in the state's own script
+    const localName = localNameCol === -1 ? '' : (row[localNameCol] || '').trim();
+    const language = stateLanguages.get(stateLgdCode);
+    const localNames = {
+      ...existingLocalNames.get(lgdCode),
+      ...(localName && language && { [language]: localName })
+    };
+
+    districts.push({
+      lgdCode,
+      name,
+      stateLgdCode,
+      localNames,
+      aliases: existingAliases.get(lgdCode) || []
+    });
+  });
+
+  districts.sort((a, b) => (parseInt(a.stateLgdCode) - parseInt(b.stateLgdCode)) || a.name.localeCompare(b.name));
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(districts, null, 2) + '\n');
+
+  console.log(`Wrote ${districts.length} districts to ${OUTPUT_FILE}`);
+  if (skipped.length > 0) {
+    console.warn(`Skipped ${skipped.length} rows with a missing code, name or unknown state:`);
+    skipped.slice(0, 20).forEach(line => console.warn(`  ${line}`));
+  }
+};
+
+main();
@@ -0,0 +1,45 @@
+// src/scripts/recomputeIncrements.js
+// Recomputes the stored monthly increments for every district-year already in the database.
+// Ingestion keeps them current; run this once after `npm run migrate` to backfill older rows.
+// Usage: npm run increments:recompute [-- --finYear 2024-2025]
+require('dotenv').config();
+
+const { sequelize } = require('../config/database');
+const redisClient = require('../config/redis');
+const { DistrictPerformance } = require('../models/index');
+const dataProcessingService = require('../services/dataProcessingService');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 200;
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const finYearIndex = args.indexOf('--finYear');
+  const finYear = finYearIndex !== -1 ? args[finYearIndex + 1] : null;
+
+  try {
+    await sequelize.authenticate();
+
+    const districtYears = await DistrictPerformance.findAll({
+      where: finYear ? { finYear } : {},
+      attributes: ['districtCode', 'finYear'],
+      group: ['districtCode', 'finYear'],
+      raw: true
+    });
+
+    for (let i = 0; i < districtYears.length; i += BATCH_SIZE) {
+      const batch = districtYears.slice(i, i + BATCH_SIZE);
+      await sequelize.transaction(transaction => dataProcessingService.recomputeIncrements(batch, transaction));
+    }
+
+    console.log(`Recomputed increments for ${districtYears.length} district-years`);
+  } catch (error) {
+    logger.error('Recomputing increments failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+    if (redisClient.isOpen) await redisClient.quit();
+  }
+};
+
+main();
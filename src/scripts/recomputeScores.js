@@ -0,0 +1,30 @@
+// src/scripts/recomputeScores.js
+// Recomputes the stored performance score and grade for every performance record.
+// Ingestion scores new rows; run this after switching SCORING_METHODOLOGY or to backfill older rows.
+// Usage: npm run scores:recompute [-- --finYear 2024-2025]
+require('dotenv').config();
+
+const { sequelize } = require('../config/database');
+const redisClient = require('../config/redis');
+const dataProcessingService = require('../services/dataProcessingService');
+const logger = require('../utils/logger');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const finYearIndex = args.indexOf('--finYear');
+  const finYear = finYearIndex !== -1 ? args[finYearIndex + 1] : null;
+
+  try {
+    await sequelize.authenticate();
+    const updated = await dataProcessingService.recomputePerformanceScores({ finYear });
+    console.log(`Recomputed scores for ${updated} performance records`);
+  } catch (error) {
+    logger.error('Recomputing scores failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+    if (redisClient.isOpen) await redisClient.quit();
+  }
+};
+
+main();
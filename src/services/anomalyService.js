@@ -0,0 +1,350 @@
+const { DistrictPerformance, DataAnomaly } = require('../models/index');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+
+// Counts and amounts that can never be negative
+const NON_NEGATIVE_METRICS = [
+  'approvedLabourBudget',
+  'averageWageRate',
+  'averageDaysEmployment',
+  'totalHouseholdsWorked',
+  'totalIndividualsWorked',
+  'completedWorks',
+  'ongoingWorks',
+  'womenPersondays',
+  'persondays',
+  'scPersondays',
+  'stPersondays',
+  'totalExpenditure',
+  'wages',
+  'households100Days',
+  'paymentWithin15Days'
+];
+
+// Upper bounds; up to 150 days of work per household are allowed in notified drought areas
+const MAXIMUMS = {
+  paymentWithin15Days: 100,
+  averageDaysEmployment: 150
+};
+
+// Year-to-date figures, which cannot fall from one month to the next, and their increment columns
+const CUMULATIVE_METRICS = {
+  totalHouseholdsWorked: 'householdsWorkedIncrement',
+  persondays: 'persondaysIncrement',
+  totalExpenditure: 'expenditureIncrement',
+  completedWorks: 'completedWorksIncrement'
+};
+
+// Rates that should move gradually from month to month
+const RATE_METRICS = ['averageWageRate'];
+const RATE_JUMP_FACTOR = 10;
+
+// Robust z-score (median and MAD) above which a monthly increment is an outlier
+const OUTLIER_Z_SCORE = 5;
+const OUTLIER_MIN_MONTHS = 4;
+const MIN_RELATIVE_SPREAD = 0.1;
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Checks ingested performance rows for impossible values and month-over-month
+ * outliers. Findings are kept in data_anomalies for review, and affected rows
+ * carry hasAnomalies so the API can caveat them.
+ */
+class AnomalyService {
+  /**
+   * Range and consistency rules for a single row
+   */
+  checkRanges(record) {
+    const findings = [];
+
+    NON_NEGATIVE_METRICS.forEach(metric => {
+      const value = toNumber(record[metric]);
+      if (value < 0) {
+        findings.push({ metric, rule: 'negative_value', severity: 'error', value, referenceValue: 0, message: `${metric} is negative (${value})` });
+      }
+    });
+
+    Object.entries(MAXIMUMS).forEach(([metric, maximum]) => {
+      const value = toNumber(record[metric]);
+      if (value > maximum) {
+        findings.push({ metric, rule: 'above_maximum', severity: 'error', value, referenceValue: maximum, message: `${metric} is ${value}, above the maximum of ${maximum}` });
+      }
+    });
+
+    const households = toNumber(record.totalHouseholdsWorked);
+    const households100Days = toNumber(record.households100Days);
+    if (households100Days > households) {
+      findings.push({
+        metric: 'households100Days',
+        rule: 'exceeds_total',
+        severity: 'error',
+        value: households100Days,
+        referenceValue: households,
+        message: `households100Days (${households100Days}) exceeds totalHouseholdsWorked (${households})`
+      });
+    }
+
+    const persondays = toNumber(record.persondays);
+    const womenPersondays = toNumber(record.womenPersondays);
+    if (persondays > 0 && womenPersondays > persondays) {
+      findings.push({
+        metric: 'womenPersondays',
+        rule: 'exceeds_total',
+        severity: 'warning',
+        value: womenPersondays,
+        referenceValue: persondays,
+        message: `womenPersondays (${womenPersondays}) exceeds persondays (${persondays})`
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Month-over-month rules for one district-year. Returns [{ record, finding }].
+   */
+  checkMonthOverMonth(records) {
+    const ordered = records
+      .filter(record => record.monthIndex > 0)
+      .sort((a, b) => a.monthIndex - b.monthIndex);
+    const findings = [];
+
+    ordered.forEach((record, i) => {
+      const previous = ordered[i - 1];
+      if (!previous) return;
+
+      RATE_METRICS.forEach(metric => {
+        const value = toNumber(record[metric]);
+        const previousValue = toNumber(previous[metric]);
+        if (value <= 0 || previousValue <= 0) return;
+
+        const ratio = value / previousValue;
+        if (ratio >= RATE_JUMP_FACTOR || ratio <= 1 / RATE_JUMP_FACTOR) {
+          findings.push({
+            record,
+            finding: {
+              metric,
+              rule: 'month_over_month_jump',
+              severity: 'warning',
+              value,
+              referenceValue: previousValue,
+              message: `${metric} changed ${ratio.toFixed(1)}x from ${previous.month} (${previousValue} to ${value})`
+            }
+          });
+        }
+      });
+
+      Object.keys(CUMULATIVE_METRICS).forEach(metric => {
+        const value = toNumber(record[metric]);
+        const previousValue = toNumber(previous[metric]);
+        if (value < previousValue) {
+          findings.push({
+            record,
+            finding: {
+              metric,
+              rule: 'cumulative_decrease',
+              severity: 'warning',
+              value,
+              referenceValue: previousValue,
+              message: `${metric} fell from ${previousValue} in ${previous.month} to ${value}, but it is a year-to-date total`
+            }
+          });
+        }
+      });
+    });
+
+    // Outliers among monthly increments, per month covered so gaps do not count against a month
+    Object.entries(CUMULATIVE_METRICS).forEach(([metric, incrementField]) => {
+      const points = ordered
+        .filter(record => record[incrementField] !== null && record[incrementField] !== undefined)
+        .map(record => ({ record, value: toNumber(record[incrementField]) / (record.incrementMonths || 1) }));
+
+      if (points.length < OUTLIER_MIN_MONTHS) return;
+
+      const center = median(points.map(point => point.value));
+      const mad = median(points.map(point => Math.abs(point.value - center)));
+
+      // 1.4826 scales the MAD to a standard deviation for normally distributed data. The floor
+      // keeps near-identical months from turning small differences into outliers.
+      const spread = Math.max(1.4826 * mad, MIN_RELATIVE_SPREAD * Math.abs(center));
+      if (spread === 0) return;
+
+      points.forEach(({ record, value }) => {
+        const zScore = (value - center) / spread;
+        if (Math.abs(zScore) > OUTLIER_Z_SCORE) {
+          findings.push({
+            record,
+            finding: {
+              metric,
+              rule: 'increment_outlier',
+              severity: 'warning',
+              value: parseFloat(value.toFixed(2)),
+              referenceValue: parseFloat(center.toFixed(2)),
+              message: `Monthly change in ${metric} (${value.toFixed(0)}) is far from the typical month (${center.toFixed(0)})`
+            }
+          });
+        }
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Run every rule over the district-years touched by an ingest and store the results.
+   * Open findings that no longer apply are removed; reviewed ones are kept.
+   */
+  async detectAndStore(performances, transaction) {
+    if (performances.length === 0) return { checked: 0, detected: 0 };
+
+    const pairs = new Set(performances.map(p => `${p.districtCode}_${p.finYear}`));
+    const rows = (await DistrictPerformance.findAll({
+      where: {
+        districtCode: { [Op.in]: [...new Set(performances.map(p => p.districtCode))] },
+        finYear: { [Op.in]: [...new Set(performances.map(p => p.finYear))] }
+      },
+      transaction
+    })).filter(row => pairs.has(`${row.districtCode}_${row.finYear}`));
+
+    const byDistrictYear = new Map();
+    rows.forEach(row => {
+      const key = `${row.districtCode}_${row.finYear}`;
+      byDistrictYear.set(key, [...(byDistrictYear.get(key) || []), row]);
+    });
+
+    const detectedAt = new Date();
+    const toAnomaly = (record, finding) => ({
+      performanceId: record.id,
+      districtCode: record.districtCode,
+      finYear: record.finYear,
+      month: record.month,
+      detectedAt,
+      ...finding
+    });
+
+    const anomalies = [];
+    rows.forEach(row => {
+      this.checkRanges(row).forEach(finding => anomalies.push(toAnomaly(row, finding)));
+    });
+    byDistrictYear.forEach(records => {
+      this.checkMonthOverMonth(records).forEach(({ record, finding }) => anomalies.push(toAnomaly(record, finding)));
+    });
+
+    if (anomalies.length > 0) {
+      await DataAnomaly.bulkCreate(anomalies, {
+        updateOnDuplicate: ['severity', 'value', 'referenceValue', 'message', 'detectedAt'],
+        transaction
+      });
+    }
+
+    const performanceIds = rows.map(row => row.id);
+    const current = new Set(anomalies.map(a => `${a.performanceId}_${a.metric}_${a.rule}`));
+    const open = await DataAnomaly.findAll({
+      where: { performanceId: { [Op.in]: performanceIds }, status: 'open' },
+      attributes: ['id', 'performanceId', 'metric', 'rule'],
+      transaction
+    });
+    const staleIds = open
+      .filter(a => !current.has(`${a.performanceId}_${a.metric}_${a.rule}`))
+      .map(a => a.id);
+
+    if (staleIds.length > 0) {
+      await DataAnomaly.destroy({ where: { id: { [Op.in]: staleIds } }, transaction });
+    }
+
+    await this.refreshFlags(performanceIds, transaction);
+
+    if (anomalies.length > 0) {
+      logger.warn(`Detected ${anomalies.length} data anomalies across ${byDistrictYear.size} district-years`);
+    }
+
+    return { checked: rows.length, detected: anomalies.length };
+  }
+
+  /**
+   * Set hasAnomalies on the given rows from their anomalies that have not been dismissed
+   */
+  async refreshFlags(performanceIds, transaction = null) {
+    if (performanceIds.length === 0) return;
+
+    const flagged = await DataAnomaly.findAll({
+      where: {
+        performanceId: { [Op.in]: performanceIds },
+        status: { [Op.ne]: 'dismissed' }
+      },
+      attributes: ['performanceId'],
+      group: ['performanceId'],
+      raw: true,
+      transaction
+    });
+    const flaggedIds = flagged.map(row => row.performanceId);
+
+    if (flaggedIds.length > 0) {
+      await DistrictPerformance.update({ hasAnomalies: true }, {
+        where: { id: { [Op.in]: flaggedIds } },
+        transaction
+      });
+    }
+
+    await DistrictPerformance.update({ hasAnomalies: false }, {
+      where: {
+        id: { [Op.in]: performanceIds.filter(id => !flaggedIds.includes(id)) },
+        hasAnomalies: true
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Anomalies for the given performance rows, for caveats in API responses
+   */
+  async getForPerformances(performanceIds) {
+    if (performanceIds.length === 0) return [];
+
+    return DataAnomaly.findAll({
+      where: {
+        performanceId: { [Op.in]: performanceIds },
+        status: { [Op.ne]: 'dismissed' }
+      },
+      attributes: ['id', 'performanceId', 'month', 'metric', 'rule', 'severity', 'message', 'status'],
+      order: [['detectedAt', 'DESC']]
+    });
+  }
+
+  async listAnomalies({ status, districtCode, finYear, rule, severity, limit = 50, offset = 0 }) {
+    const where = {};
+    if (status) where.status = status;
+    if (districtCode) where.districtCode = districtCode;
+    if (finYear) where.finYear = finYear;
+    if (rule) where.rule = rule;
+    if (severity) where.severity = severity;
+
+    return DataAnomaly.findAndCountAll({
+      where,
+      order: [['detectedAt', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  }
+
+  /**
+   * Record a review decision and update the row's flag. Returns null if not found.
+   */
+  async reviewAnomaly(id, { status, note = null }) {
+    const anomaly = await DataAnomaly.findByPk(id);
+    if (!anomaly) return null;
+
+    await anomaly.update({ status, reviewNote: note, reviewedAt: new Date() });
+    await this.refreshFlags([anomaly.performanceId]);
+    return anomaly;
+  }
+}
+
+module.exports = new AnomalyService();
@@ -0,0 +1,99 @@
+const anomalyService = require('./anomalyService');
+
+const MONTHS = ['April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December', 'January', 'February', 'March'];
+
+// One district-year of rows with the given persondays increments, a month apart unless months says otherwise
+const withIncrements = (increments, months = increments.map(() => 1)) => {
+  let monthIndex = 0;
+  return increments.map((persondaysIncrement, i) => {
+    monthIndex += months[i];
+    return { month: MONTHS[monthIndex - 1], monthIndex, persondaysIncrement, incrementMonths: months[i] };
+  });
+};
+
+const rules = (findings) => findings.map(({ finding }) => `${finding.metric}:${finding.rule}`);
+
+describe('checkRanges', () => {
+  it('passes a consistent row', () => {
+    expect(anomalyService.checkRanges({
+      totalHouseholdsWorked: 1000,
+      households100Days: 50,
+      persondays: 40000,
+      womenPersondays: 20000,
+      paymentWithin15Days: '98.5',
+      averageDaysEmployment: 40
+    })).toEqual([]);
+  });
+
+  it('flags negative values', () => {
+    const [finding] = anomalyService.checkRanges({ wages: -20 });
+    expect(finding).toMatchObject({ metric: 'wages', rule: 'negative_value', severity: 'error', value: -20, message: 'wages is negative (-20)' });
+  });
+
+  it('flags values above their maximum, allowing 150 days of work', () => {
+    expect(anomalyService.checkRanges({ averageDaysEmployment: 150 })).toEqual([]);
+
+    const findings = anomalyService.checkRanges({ averageDaysEmployment: 151, paymentWithin15Days: 104 });
+    expect(findings.map(({ metric, rule, referenceValue }) => [metric, rule, referenceValue])).toEqual([
+      ['paymentWithin15Days', 'above_maximum', 100],
+      ['averageDaysEmployment', 'above_maximum', 150]
+    ]);
+  });
+
+  it('flags parts that exceed their totals', () => {
+    const findings = anomalyService.checkRanges({ totalHouseholdsWorked: 10, households100Days: 12, persondays: 100, womenPersondays: 120 });
+    expect(findings.map(({ metric, rule, severity }) => [metric, rule, severity])).toEqual([
+      ['households100Days', 'exceeds_total', 'error'],
+      ['womenPersondays', 'exceeds_total', 'warning']
+    ]);
+  });
+
+  it('does not compare women persondays against a missing total', () => {
+    expect(anomalyService.checkRanges({ womenPersondays: 120 })).toEqual([]);
+  });
+});
+
+describe('checkMonthOverMonth', () => {
+  it('flags a fall in a year-to-date total against the previous month', () => {
+    const findings = anomalyService.checkMonthOverMonth([
+      { month: 'May', monthIndex: 2, totalExpenditure: 900 },
+      { month: 'April', monthIndex: 1, totalExpenditure: 1000 }
+    ]);
+
+    expect(rules(findings)).toEqual(['totalExpenditure:cumulative_decrease']);
+    expect(findings[0].record.month).toBe('May');
+    expect(findings[0].finding.message).toBe('totalExpenditure fell from 1000 in April to 900, but it is a year-to-date total');
+  });
+
+  it('flags a tenfold jump in the wage rate either way', () => {
+    const findings = anomalyService.checkMonthOverMonth([
+      { month: 'April', monthIndex: 1, averageWageRate: 250 },
+      { month: 'May', monthIndex: 2, averageWageRate: 2500 },
+      { month: 'June', monthIndex: 3, averageWageRate: 250 },
+      { month: 'July', monthIndex: 4, averageWageRate: 2000 }
+    ]);
+
+    expect(findings.map(({ record }) => record.month)).toEqual(['May', 'June']);
+    expect(findings[0].finding.message).toBe('averageWageRate changed 10.0x from April (250 to 2500)');
+  });
+
+  it('flags an increment far from the median month', () => {
+    const findings = anomalyService.checkMonthOverMonth(withIncrements([100, 110, 90, 105, 2000]));
+
+    expect(rules(findings)).toEqual(['persondays:increment_outlier']);
+    expect(findings[0].record.month).toBe('August');
+    expect(findings[0].finding).toMatchObject({ value: 2000, referenceValue: 105 });
+  });
+
+  it('spreads an increment over the months it covers', () => {
+    expect(anomalyService.checkMonthOverMonth(withIncrements([100, 110, 300, 105], [1, 1, 3, 1]))).toEqual([]);
+  });
+
+  it('does not turn small differences between near-identical months into outliers', () => {
+    expect(anomalyService.checkMonthOverMonth(withIncrements([100, 100, 100, 100, 115]))).toEqual([]);
+  });
+
+  it('needs four months of increments before looking for outliers', () => {
+    expect(anomalyService.checkMonthOverMonth(withIncrements([100, 110, 5000]))).toEqual([]);
+  });
+});
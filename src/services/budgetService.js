@@ -0,0 +1,185 @@
+const { District, DistrictPerformance } = require('../models/index');
+const dataProcessingService = require('./dataProcessingService');
+const projectionService = require('./projectionService');
+const { Op } = require('sequelize');
+
+const MONTHS_IN_YEAR = 12;
+
+// Past years used to learn each district's seasonal pace
+const PACE_HISTORY_YEARS = 3;
+
+// Districts within this fraction of the expected pace are on track
+const PACE_TOLERANCE = 0.1;
+
+// Minimum share of expenditure that must go to wages at district level (60:40 wage-material norm)
+const WAGE_SHARE_NORM = 60;
+
+const round1 = (value) => parseFloat(value.toFixed(1));
+
+/**
+ * Tracks persondays against the approved labour budget (set in persondays) and the
+ * wage share of expenditure, and judges each district against its expected pace
+ * for the point reached in the year.
+ */
+class BudgetService {
+  /**
+   * Share of the labour budget a district is expected to have used by a month.
+   * Uses the district's own past seasonality, otherwise an even monthly pace.
+   */
+  getExpectedShare(pastPerformances, monthIndex) {
+    const shares = projectionService.getSeasonalShares(pastPerformances, monthIndex, 'persondays');
+    if (shares.length === 0) {
+      return { share: monthIndex / MONTHS_IN_YEAR, method: 'linear' };
+    }
+    return {
+      share: shares.reduce((sum, { share }) => sum + share, 0) / shares.length,
+      method: 'seasonal'
+    };
+  }
+
+  /**
+   * Budget position of one record against its expected pace
+   */
+  assessRecord(performance, expected) {
+    const utilisation = dataProcessingService.calculateBudgetUtilization(performance);
+    const wageShare = dataProcessingService.calculateWageShare(performance);
+    const expectedUtilisation = round1(expected.share * 100);
+
+    let paceRatio = null;
+    let status = 'no_budget';
+    if (utilisation !== null && expectedUtilisation > 0) {
+      paceRatio = parseFloat((utilisation / expectedUtilisation).toFixed(2));
+      status = paceRatio < 1 - PACE_TOLERANCE ? 'behind' : paceRatio > 1 + PACE_TOLERANCE ? 'ahead' : 'on_track';
+    }
+
+    return {
+      month: performance.month,
+      monthIndex: performance.monthIndex,
+      approvedLabourBudget: parseFloat(performance.approvedLabourBudget) || 0,
+      persondays: parseFloat(performance.persondays) || 0,
+      utilisation,
+      expectedUtilisation,
+      paceRatio,
+      status,
+      totalExpenditure: parseFloat(performance.totalExpenditure) || 0,
+      wages: parseFloat(performance.wages) || 0,
+      wageShare,
+      wageShareBelowNorm: wageShare !== null && wageShare < WAGE_SHARE_NORM
+    };
+  }
+
+  pastYearsOf(finYear) {
+    const { startYear } = dataProcessingService.parseFinancialYear(finYear);
+    const years = [];
+    for (let i = 1; i <= PACE_HISTORY_YEARS; i++) {
+      years.push(`${startYear - i}-${startYear - i + 1}`);
+    }
+    return years;
+  }
+
+  /**
+   * Month-by-month budget track for a district. Returns null when the year has no data.
+   */
+  async getDistrictBudget(districtCode, finYear) {
+    const performances = await DistrictPerformance.findAll({
+      where: {
+        districtCode,
+        finYear: { [Op.in]: [finYear, ...this.pastYearsOf(finYear)] },
+        monthIndex: { [Op.ne]: null }
+      },
+      attributes: ['finYear', 'month', 'monthIndex', 'approvedLabourBudget', 'persondays', 'totalExpenditure', 'wages'],
+      order: [['monthIndex', 'ASC']]
+    });
+
+    const currentYear = performances.filter(perf => perf.finYear === finYear);
+    if (currentYear.length === 0) return null;
+
+    const pastPerformances = performances.filter(perf => perf.finYear !== finYear);
+    const months = currentYear.map(perf => {
+      const expected = this.getExpectedShare(pastPerformances, perf.monthIndex);
+      return { ...this.assessRecord(perf, expected), expectedPaceMethod: expected.method };
+    });
+
+    return {
+      finYear,
+      current: months[months.length - 1],
+      months
+    };
+  }
+
+  /**
+   * Budget position of every district in a state at its latest month, furthest behind first.
+   * Pass status to list only behind, on_track, ahead or no_budget districts.
+   */
+  async getStateBudget(stateCode, finYear, { status = null } = {}) {
+    const performances = await DistrictPerformance.findAll({
+      where: {
+        finYear: { [Op.in]: [finYear, ...this.pastYearsOf(finYear)] },
+        monthIndex: { [Op.ne]: null }
+      },
+      attributes: ['districtCode', 'finYear', 'month', 'monthIndex', 'approvedLabourBudget', 'persondays', 'totalExpenditure', 'wages'],
+      include: [
+        {
+          model: District,
+          as: 'district',
+          where: { stateCode },
+          attributes: ['districtName']
+        }
+      ]
+    });
+
+    const byDistrict = new Map();
+    performances.forEach(perf => {
+      byDistrict.set(perf.districtCode, [...(byDistrict.get(perf.districtCode) || []), perf]);
+    });
+
+    const districts = [];
+    byDistrict.forEach((records, districtCode) => {
+      const latest = dataProcessingService.getLatestByFiscalMonth(records.filter(perf => perf.finYear === finYear));
+      if (!latest) return;
+
+      const expected = this.getExpectedShare(records.filter(perf => perf.finYear !== finYear), latest.monthIndex);
+      districts.push({
+        districtCode,
+        districtName: latest.district?.districtName,
+        ...this.assessRecord(latest, expected),
+        expectedPaceMethod: expected.method
+      });
+    });
+
+    if (districts.length === 0) return null;
+
+    const totals = districts.reduce((sum, district) => ({
+      approvedLabourBudget: sum.approvedLabourBudget + district.approvedLabourBudget,
+      persondays: sum.persondays + district.persondays,
+      totalExpenditure: sum.totalExpenditure + district.totalExpenditure,
+      wages: sum.wages + district.wages
+    }), { approvedLabourBudget: 0, persondays: 0, totalExpenditure: 0, wages: 0 });
+
+    const byPace = (a, b) => (a.paceRatio ?? Infinity) - (b.paceRatio ?? Infinity);
+    const listed = districts
+      .filter(district => !status || district.status === status)
+      .sort(byPace);
+
+    return {
+      finYear,
+      stateCode,
+      paceTolerance: PACE_TOLERANCE,
+      wageShareNorm: WAGE_SHARE_NORM,
+      totals: {
+        ...totals,
+        utilisation: dataProcessingService.calculateBudgetUtilization(totals),
+        wageShare: dataProcessingService.calculateWageShare(totals)
+      },
+      counts: {
+        behind: districts.filter(d => d.status === 'behind').length,
+        onTrack: districts.filter(d => d.status === 'on_track').length,
+        ahead: districts.filter(d => d.status === 'ahead').length,
+        noBudget: districts.filter(d => d.status === 'no_budget').length
+      },
+      districts: listed
+    };
+  }
+}
+
+module.exports = new BudgetService();
@@ -42,6 +42,39 @@ class CacheService {
     }
   }
 
+  /**
+   * Acquire a distributed lock. Returns a token to release it with, or null if held elsewhere.
+   */
+  async acquireLock(key, ttlSeconds = 3600) {
+    try {
+      const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+      const result = await redisClient.set(key, token, { NX: true, EX: ttlSeconds });
+      return result === 'OK' ? token : null;
+    } catch (error) {
+      logger.error(`Cache lock error for key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Release a lock only if we still own it
+   */
+  async releaseLock(key, token) {
+    try {
+      const script = `
+        if redis.call('get', KEYS[1]) == ARGV[1] then
+          return redis.call('del', KEYS[1])
+        end
+        return 0
+      `;
+      const result = await redisClient.eval(script, { keys: [key], arguments: [token] });
+      return result === 1;
+    } catch (error) {
+      logger.error(`Cache unlock error for key ${key}:`, error);
+      return false;
+    }
+  }
+
   async exists(key) {
     try {
       const result = await redisClient.exists(key);
@@ -0,0 +1,318 @@
+const { State, District, DistrictPerformance } = require('../models/index');
+const dataProcessingService = require('./dataProcessingService');
+const nameResolverService = require('./nameResolverService');
+const { Op } = require('sequelize');
+
+// Counts that add up when districts are combined into a state
+const SUMMED_METRICS = [
+  'approvedLabourBudget',
+  'totalHouseholdsWorked',
+  'totalIndividualsWorked',
+  'completedWorks',
+  'ongoingWorks',
+  'persondays',
+  'womenPersondays',
+  'totalExpenditure',
+  'wages',
+  'households100Days'
+];
+
+// Rates combined as weighted averages, and the count each is weighted by
+const WEIGHTED_RATES = {
+  averageDaysEmployment: 'totalHouseholdsWorked',
+  paymentWithin15Days: 'totalHouseholdsWorked',
+  averageWageRate: 'persondays'
+};
+
+const ratio = (numerator, denominator, scale = 100) => (denominator > 0 ? (numerator / denominator) * scale : null);
+
+// Size-independent measures, so a small district can be set against a whole state.
+// Each is null when its denominator is zero.
+const NORMALISED_METRICS = {
+  averageDaysEmployment: { label: 'Average days of employment per household', unit: 'days', value: r => r.averageDaysEmployment },
+  averageWageRate: { label: 'Average wage rate', unit: 'Rs per day', value: r => r.averageWageRate },
+  paymentWithin15Days: { label: 'Payments generated within 15 days', unit: '%', value: r => r.paymentWithin15Days },
+  womenShare: { label: 'Women share of persondays', unit: '%', value: r => ratio(r.womenPersondays, r.persondays) },
+  worksCompletionRate: { label: 'Share of works completed', unit: '%', value: r => ratio(r.completedWorks, r.completedWorks + r.ongoingWorks) },
+  households100DaysShare: { label: 'Households completing 100 days', unit: '%', value: r => ratio(r.households100Days, r.totalHouseholdsWorked) },
+  expenditurePerHousehold: { label: 'Expenditure per household worked', unit: 'totalExpenditure units', value: r => ratio(r.totalExpenditure, r.totalHouseholdsWorked, 1) },
+  budgetUtilization: { label: 'Persondays against the approved labour budget', unit: '%', value: r => ratio(r.persondays, r.approvedLabourBudget) }
+};
+
+const round2 = (value) => (value === null ? null : parseFloat(value.toFixed(2)));
+
+/**
+ * Compares any mix of districts and whole states, from one or more states, on
+ * normalised metrics alongside state and national figures for the same months.
+ */
+class CompareService {
+  /**
+   * Combine performance rows into one record: counts are summed and rates weighted
+   */
+  combineRecords(rows) {
+    const record = {};
+    SUMMED_METRICS.forEach(metric => {
+      record[metric] = rows.reduce((sum, row) => sum + (parseFloat(row[metric]) || 0), 0);
+    });
+
+    Object.entries(WEIGHTED_RATES).forEach(([metric, weightMetric]) => {
+      const weight = rows.reduce((sum, row) => sum + (parseFloat(row[weightMetric]) || 0), 0);
+      const total = rows.reduce((sum, row) => {
+        const rowWeight = weight > 0 ? parseFloat(row[weightMetric]) || 0 : 1;
+        return sum + (parseFloat(row[metric]) || 0) * rowWeight;
+      }, 0);
+      record[metric] = rows.length > 0 ? total / (weight > 0 ? weight : rows.length) : 0;
+    });
+
+    return record;
+  }
+
+  normalise(record) {
+    const normalised = {};
+    Object.entries(NORMALISED_METRICS).forEach(([metric, { value }]) => {
+      normalised[metric] = round2(value(record));
+    });
+    return normalised;
+  }
+
+  /**
+   * Totals, normalised metrics and score for a set of rows. A single district keeps its stored score.
+   */
+  describeRows(rows, { stored = false } = {}) {
+    const record = this.combineRecords(rows);
+    const performanceScore = stored
+      ? dataProcessingService.getPerformanceScore(rows[0])
+      : dataProcessingService.calculatePerformanceScore(record);
+
+    const totals = {};
+    SUMMED_METRICS.forEach(metric => {
+      totals[metric] = record[metric];
+    });
+
+    return {
+      districts: rows.length,
+      totals,
+      normalised: { ...this.normalise(record), performanceScore },
+      grade: dataProcessingService.getGradeForScore(performanceScore),
+      hasAnomalies: rows.some(row => row.hasAnomalies)
+    };
+  }
+
+  /**
+   * Resolve the districts for a comparison from codes, or from names within a state
+   * (see nameResolverService). Identifiers that do not match are returned under
+   * unresolved, with suggestions, rather than dropped.
+   */
+  async resolveDistricts({ districtCodes = null, districtNames = null, state = null }) {
+    const attributes = ['districtCode', 'districtName', 'stateCode'];
+
+    if (districtCodes) {
+      const found = await District.findAll({ where: { districtCode: districtCodes }, attributes });
+      return {
+        districts: districtCodes.map(code => found.find(d => d.districtCode === code)).filter(Boolean),
+        unresolved: districtCodes
+          .filter(code => !found.some(d => d.districtCode === code))
+          .map(code => ({ field: 'districtCodes', value: code, message: `District '${code}' not found` }))
+      };
+    }
+
+    const resolvedState = await nameResolverService.resolveState(state);
+    const stateRecord = resolvedState.match;
+
+    if (!stateRecord) {
+      return {
+        districts: [],
+        unresolved: [{
+          field: 'state',
+          value: state,
+          message: nameResolverService.notFoundMessage('State', state, resolvedState.suggestions),
+          didYouMean: resolvedState.suggestions
+        }]
+      };
+    }
+
+    const resolved = await Promise.all(districtNames.map(name => (
+      nameResolverService.resolveDistrict(name, { stateCode: stateRecord.stateCode })
+    )));
+
+    return {
+      districts: resolved.map(({ match }) => match).filter(Boolean),
+      unresolved: districtNames
+        .map((name, i) => ({ name, ...resolved[i] }))
+        .filter(({ match }) => !match)
+        .map(({ name, suggestions }) => ({
+          field: 'districtNames',
+          value: name,
+          message: nameResolverService.notFoundMessage('District', name, suggestions, ` in ${stateRecord.stateName}`),
+          didYouMean: suggestions
+        }))
+    };
+  }
+
+  /**
+   * Side-by-side comparison of districts for each financial year. Within a year every district
+   * is compared at the latest month all of them have reported, since figures are cumulative.
+   * Districts with no record for that month are listed under missingData.
+   */
+  async compareDistrictsOverYears(districts, finYears) {
+    const districtCodes = [...new Set(districts.map(d => d.districtCode))];
+
+    const performances = await DistrictPerformance.findAll({
+      where: {
+        districtCode: { [Op.in]: districtCodes },
+        finYear: { [Op.in]: finYears },
+        monthIndex: { [Op.ne]: null }
+      },
+      include: [
+        {
+          model: District,
+          as: 'district',
+          attributes: ['districtName', 'stateCode']
+        }
+      ]
+    });
+
+    return finYears.map(finYear => {
+      const yearRows = performances.filter(perf => perf.finYear === finYear);
+      const latestByDistrict = districtCodes
+        .map(code => Math.max(0, ...yearRows.filter(perf => perf.districtCode === code).map(perf => perf.monthIndex)))
+        .filter(monthIndex => monthIndex > 0);
+
+      if (latestByDistrict.length === 0) {
+        return { finYear, month: null, missingData: districtCodes, comparison: null };
+      }
+
+      const monthIndex = Math.min(...latestByDistrict);
+      const rows = districtCodes
+        .map(code => yearRows.find(perf => perf.districtCode === code && perf.monthIndex === monthIndex))
+        .filter(Boolean);
+
+      return {
+        finYear,
+        month: rows[0].month,
+        missingData: districtCodes.filter(code => !rows.some(row => row.districtCode === code)),
+        comparison: dataProcessingService.generateComparison(rows)
+      };
+    });
+  }
+
+  /**
+   * Compare districts and states for a financial year. Upstream figures are cumulative,
+   * so each district contributes one row: its row for the given month, or else its own
+   * latest row. Units with no data are listed under unavailable, and codes that do not
+   * exist under notFound.
+   */
+  async compareUnits({ districtCodes = [], stateCodes = [], finYear, month = null }) {
+    const query = {
+      finYear,
+      include: [
+        {
+          model: District,
+          as: 'district',
+          attributes: ['districtName', 'stateCode'],
+          include: [{ model: State, as: 'state', attributes: ['stateName'] }]
+        }
+      ]
+    };
+    const rows = month
+      ? await dataProcessingService.findDistrictRowsForMonth({ ...query, month })
+      : await dataProcessingService.findLatestDistrictRows(query);
+    if (rows.length === 0) return null;
+
+    const rowsByState = new Map();
+    rows.forEach(row => {
+      rowsByState.set(row.district.stateCode, [...(rowsByState.get(row.district.stateCode) || []), row]);
+    });
+
+    const [districts, states] = await Promise.all([
+      District.findAll({
+        where: { districtCode: districtCodes },
+        attributes: ['districtCode', 'districtName', 'stateCode'],
+        include: [{ model: State, as: 'state', attributes: ['stateName'] }]
+      }),
+      State.findAll({
+        where: { stateCode: stateCodes },
+        attributes: ['stateCode', 'stateName']
+      })
+    ]);
+
+    const units = [];
+    const unavailable = [];
+    const notFound = [];
+
+    districtCodes.forEach(code => {
+      const district = districts.find(d => d.districtCode === code);
+      if (!district) {
+        notFound.push({ type: 'district', code });
+        return;
+      }
+
+      const unit = {
+        type: 'district',
+        code,
+        name: district.districtName,
+        stateCode: district.stateCode,
+        stateName: district.state?.stateName
+      };
+      const row = rows.find(r => r.districtCode === code);
+      if (row) {
+        units.push({ ...unit, ...this.describeRows([row], { stored: true }) });
+      } else {
+        unavailable.push(unit);
+      }
+    });
+
+    stateCodes.forEach(code => {
+      const state = states.find(s => s.stateCode === code);
+      if (!state) {
+        notFound.push({ type: 'state', code });
+        return;
+      }
+
+      const unit = { type: 'state', code, name: state.stateName, stateCode: code, stateName: state.stateName };
+      const stateRows = rowsByState.get(code);
+      if (stateRows) {
+        units.push({ ...unit, ...this.describeRows(stateRows) });
+      } else {
+        unavailable.push(unit);
+      }
+    });
+
+    // Tie-aware rank of each unit per metric; units without a value are not ranked
+    const metrics = [...Object.keys(NORMALISED_METRICS), 'performanceScore'];
+    units.forEach(unit => {
+      unit.ranks = {};
+      metrics.forEach(metric => {
+        const values = units.map(u => u.normalised[metric]).filter(value => value !== null);
+        unit.ranks[metric] = unit.normalised[metric] === null
+          ? null
+          : dataProcessingService.rankValue(values, unit.normalised[metric]);
+      });
+    });
+
+    const involvedStates = [...new Set(units.map(unit => unit.stateCode))].filter(code => rowsByState.has(code));
+    const stateAverages = involvedStates.map(code => {
+      const stateRows = rowsByState.get(code);
+      const { districts: count, normalised } = this.describeRows(stateRows);
+      return { stateCode: code, stateName: stateRows[0].district.state?.stateName, districts: count, normalised };
+    });
+
+    const national = this.describeRows(rows);
+
+    const monthsReported = dataProcessingService.countRowsByMonth(rows);
+
+    return {
+      finYear,
+      month: monthsReported[0].month,
+      monthsReported,
+      metrics: Object.fromEntries(Object.entries(NORMALISED_METRICS).map(([metric, { label, unit }]) => [metric, { label, unit }])),
+      units,
+      unavailable,
+      notFound,
+      stateAverages,
+      nationalAverage: { districts: national.districts, states: rowsByState.size, normalised: national.normalised }
+    };
+  }
+}
+
+module.exports = new CompareService();
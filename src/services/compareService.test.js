@@ -0,0 +1,74 @@
+jest.mock('../config/redis', () => ({}));
+
+const { Op } = require('sequelize');
+const { State, District, DistrictPerformance } = require('../models/index');
+const dataProcessingService = require('./dataProcessingService');
+const compareService = require('./compareService');
+
+const bihar = { stateCode: '10', state: { stateName: 'BIHAR' } };
+const tamilNadu = { stateCode: '33', state: { stateName: 'TAMIL NADU' } };
+
+// Stored rows for one financial year, spelling the same month the ways upstream has
+const storedRow = (districtCode, month, district, values = {}) => ({
+  districtCode,
+  finYear: '2024-2025',
+  month,
+  monthIndex: dataProcessingService.getFiscalMonthIndex(month),
+  updated_at: '2025-01-01T00:00:00.000Z',
+  totalHouseholdsWorked: 1000,
+  persondays: 40000,
+  averageDaysEmployment: 40,
+  district: { districtName: `DISTRICT ${districtCode}`, ...district },
+  ...values
+});
+
+const rows = [
+  storedRow('101', 'August', bihar, { averageDaysEmployment: 30 }),
+  storedRow('101', 'SEPTEMBER', bihar, { averageDaysEmployment: 35 }),
+  storedRow('102', 'AUG', bihar, { averageDaysEmployment: 20 }),
+  storedRow('103', 'Sep', tamilNadu, { averageDaysEmployment: 50, updated_at: '2025-01-01T00:00:00.000Z' }),
+  storedRow('103', 'SEPT', tamilNadu, { averageDaysEmployment: 45, updated_at: '2025-02-01T00:00:00.000Z' })
+];
+
+describe('compareUnits', () => {
+  let findAll;
+
+  beforeEach(() => {
+    findAll = jest.spyOn(DistrictPerformance, 'findAll').mockImplementation(async ({ where }) => rows.filter(row => (
+      row.finYear === where.finYear && (typeof where.monthIndex !== 'number' || row.monthIndex === where.monthIndex)
+    )));
+    jest.spyOn(District, 'findAll').mockImplementation(async ({ where }) => rows
+      .filter((row, i) => where.districtCode.includes(row.districtCode) && rows.findIndex(r => r.districtCode === row.districtCode) === i)
+      .map(row => ({ districtCode: row.districtCode, districtName: row.district.districtName, stateCode: row.district.stateCode, state: row.district.state })));
+    jest.spyOn(State, 'findAll').mockImplementation(async ({ where }) => [bihar, tamilNadu]
+      .filter(state => where.stateCode.includes(state.stateCode))
+      .map(state => ({ stateCode: state.stateCode, stateName: state.state.stateName })));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compares each district at its own latest month by default, once each', async () => {
+    const comparison = await compareService.compareUnits({ districtCodes: ['101', '103'], stateCodes: ['10'], finYear: '2024-2025' });
+
+    expect(findAll.mock.calls[0][0].where).toEqual({ finYear: '2024-2025', monthIndex: { [Op.ne]: null } });
+    expect(comparison.month).toBe('SEPTEMBER');
+    expect(comparison.monthsReported).toEqual([{ month: 'SEPTEMBER', districts: 2 }, { month: 'AUGUST', districts: 1 }]);
+    expect(comparison.units.map(unit => [unit.code, unit.normalised.averageDaysEmployment])).toEqual([['101', 35], ['103', 45], ['10', 27.5]]);
+    expect(comparison.nationalAverage).toMatchObject({ districts: 3, states: 2 });
+  });
+
+  it('takes every spelling of a requested month', async () => {
+    const comparison = await compareService.compareUnits({ districtCodes: ['101', '102', '103'], finYear: '2024-2025', month: 'AUGUST' });
+
+    expect(findAll.mock.calls[0][0].where).toEqual({ finYear: '2024-2025', monthIndex: 5 });
+    expect(comparison.units.map(unit => unit.code)).toEqual(['101', '102']);
+    expect(comparison.unavailable.map(unit => unit.code)).toEqual(['103']);
+    expect(comparison.monthsReported).toEqual([{ month: 'AUGUST', districts: 2 }]);
+  });
+
+  it('returns null when nothing was reported', async () => {
+    expect(await compareService.compareUnits({ districtCodes: ['101'], finYear: '2024-2025', month: 'MARCH' })).toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+const cron = require('node-cron');
+const mgnregaApiService = require('./mgnregaApiService');
+const dataProcessingService = require('./dataProcessingService');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+const TIMEZONE = process.env.CRON_TIMEZONE || 'Asia/Kolkata';
+const LOCK_TTL = parseInt(process.env.CRON_LOCK_TTL_SECONDS) || 6 * 60 * 60; // 6 hours
+
+class CronJobs {
+  constructor() {
+    this.tasks = new Map();
+
+    // Job definitions - schedules can be overridden through the environment
+    this.jobs = [
+      {
+        name: 'nightlySync',
+        schedule: process.env.CRON_SYNC_SCHEDULE || '0 2 * * *', // Daily at 2:00 AM IST
+        handler: () => this.syncAllStates()
+      },
+      {
+        name: 'financialYearRollover',
+        schedule: process.env.CRON_FIN_YEAR_SCHEDULE || '5 0 * * *', // Daily at 12:05 AM IST
+        handler: () => dataProcessingService.refreshCurrentFinancialYear()
+      }
+    ];
+  }
+
+  /**
+   * Schedule every configured job
+   */
+  initializeJobs() {
+    if (process.env.CRON_ENABLED === 'false') {
+      logger.info('Cron jobs disabled via CRON_ENABLED=false');
+      return;
+    }
+
+    this.jobs.forEach(job => {
+      if (!cron.validate(job.schedule)) {
+        logger.error(`Invalid cron schedule '${job.schedule}' for job ${job.name}, skipping`);
+        return;
+      }
+
+      const task = cron.schedule(job.schedule, () => this.runJob(job), {
+        scheduled: true,
+        timezone: TIMEZONE
+      });
+
+      this.tasks.set(job.name, task);
+      logger.info(`Scheduled job ${job.name} (${job.schedule} ${TIMEZONE})`);
+    });
+  }
+
+  /**
+   * Stop all scheduled jobs
+   */
+  stopJobs() {
+    this.tasks.forEach((task, name) => {
+      task.stop();
+      logger.info(`Stopped job ${name}`);
+    });
+    this.tasks.clear();
+  }
+
+  /**
+   * Run a job under a distributed lock so two instances never run it together
+   */
+  async runJob(job) {
+    const lockKey = `mgnrega:lock:job:${job.name}`;
+    const lockToken = await cacheService.acquireLock(lockKey, LOCK_TTL);
+
+    if (!lockToken) {
+      logger.info(`Job ${job.name} is already running elsewhere, skipping`);
+      return null;
+    }
+
+    const startedAt = Date.now();
+    logger.info(`Job ${job.name} started`);
+
+    try {
+      const result = await job.handler();
+      logger.info(`Job ${job.name} finished in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+      return result;
+    } catch (error) {
+      logger.error(`Job ${job.name} failed:`, error);
+      return null;
+    } finally {
+      await cacheService.releaseLock(lockKey, lockToken);
+    }
+  }
+
+  /**
+   * Sync every state for the current and previous financial year
+   */
+  async syncAllStates() {
+    const currentFinYear = dataProcessingService.getFinancialYearForDate();
+    const finYears = [currentFinYear, dataProcessingService.getPreviousFinancialYear(currentFinYear)];
+    const states = await mgnregaApiService.fetchStatesList();
+
+    const summary = { succeeded: 0, failed: 0, recordsStored: 0, failures: [] };
+
+    for (const stateName of states) {
+      for (const finYear of finYears) {
+        try {
+          const result = await dataProcessingService.fetchAndStoreAllPages({
+            stateName,
+            finYear,
+            trigger: 'scheduled'
+          });
+          summary.succeeded++;
+          summary.recordsStored += result.recordsStored;
+        } catch (error) {
+          // One failing state should not stop the rest of the sync
+          summary.failed++;
+          summary.failures.push({ stateName, finYear, error: error.message });
+          logger.error(`Sync failed for ${stateName} ${finYear}:`, error.message);
+        }
+      }
+    }
+
+    logger.info(`Sync complete: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.recordsStored} records stored`);
+    return summary;
+  }
+}
+
+module.exports = new CronJobs();
@@ -1,47 +1,307 @@
 const { State, District, FinancialYear, DistrictPerformance, DistrictExtendedMetrics } = require('../models/index');
+const mgnregaApiService = require('./mgnregaApiService');
+const syncRunService = require('./syncRunService');
+const lgdService = require('./lgdService');
+const scoringService = require('./scoringService');
+const anomalyService = require('./anomalyService');
+const nameResolverService = require('./nameResolverService');
 const logger = require('../utils/logger');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Months in financial-year order (April = 1)
+const FISCAL_MONTHS = [
+  'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER',
+  'OCTOBER', 'NOVEMBER', 'DECEMBER', 'JANUARY', 'FEBRUARY', 'MARCH'
+];
+
+// Headline metrics used for comparisons and history
+const COMPARISON_METRICS = [
+  'averageDaysEmployment',
+  'averageWageRate',
+  'totalHouseholdsWorked',
+  'totalIndividualsWorked',
+  'completedWorks',
+  'womenPersondays',
+  'totalExpenditure',
+  'paymentWithin15Days'
+];
+
+// Metrics a district is ranked on against its state and the country
+const RANKING_METRICS = [...COMPARISON_METRICS, 'performanceScore'];
+
+// Reduced metric set for low-bandwidth clients
+const SIMPLIFIED_METRICS = [
+  'totalHouseholdsWorked',
+  'averageDaysEmployment',
+  'averageWageRate',
+  'paymentWithin15Days',
+  'households100Days',
+  'completedWorks'
+];
+
+// Cumulative year-to-date metrics and the columns holding their monthly increments
+const INCREMENT_METRICS = {
+  totalHouseholdsWorked: 'householdsWorkedIncrement',
+  persondays: 'persondaysIncrement',
+  totalExpenditure: 'expenditureIncrement',
+  completedWorks: 'completedWorksIncrement'
+};
+
+// Cumulative counts that add up across districts
+const TOTAL_METRICS = [
+  'approvedLabourBudget',
+  'totalHouseholdsWorked',
+  'totalIndividualsWorked',
+  'completedWorks',
+  'ongoingWorks',
+  'womenPersondays',
+  'totalExpenditure',
+  'wages',
+  'households100Days'
+];
+
+// Per-district rates that are averaged rather than summed
+const RATE_METRICS = [
+  'averageWageRate',
+  'averageDaysEmployment',
+  'paymentWithin15Days'
+];
+
+const percentile = (sortedValues, p) => {
+  if (sortedValues.length === 0) return 0;
+  const index = (sortedValues.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (index - lower);
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Rank of a value among all values (higher is better, ties share a rank) and the
+// percentage of the other values it beats, counting ties as half
+const rankAmong = (values, value) => {
+  const above = values.filter(v => v > value).length;
+  const below = values.filter(v => v < value).length;
+  const tiedOthers = values.length - above - below - 1;
+  return {
+    rank: above + 1,
+    of: values.length,
+    percentile: values.length > 1 ? Math.round(((below + tiedOthers / 2) / (values.length - 1)) * 100) : 100
+  };
+};
+
 class DataProcessingService {
   
   /**
    * OPTIMIZED: Process API data with bulk operations
+   * Pass options.syncRun when this call is one page of a larger sync; otherwise
+   * the call is recorded as a sync run of its own.
    */
-  async processAndStoreDataBulk(apiData) {
+  async processAndStoreDataBulk(apiData, { syncRun = null, trigger = 'bulk' } = {}) {
+    const ownsRun = !syncRun;
+    const run = syncRun || await syncRunService.startRun({
+      stateName: apiData[0]?.state_name,
+      finYear: apiData[0]?.fin_year,
+      trigger
+    });
+
+    if (ownsRun) {
+      await syncRunService.addProgress(run, { recordsFetched: apiData.length });
+    }
+
+    // Without the district table every record would be skipped, so refuse the sync outright
+    try {
+      lgdService.assertDistrictsLoaded();
+    } catch (error) {
+      if (ownsRun) {
+        await syncRunService.failRun(run, error);
+      }
+      throw error;
+    }
+
+    // Resolve names to official LGD codes; unresolved records are reported, not stored
+    const { records: resolvedData, unresolved } = this.resolveRecordCodes(apiData);
+    if (unresolved.length > 0) {
+      const names = unresolved.map(u => `${u.districtName} (${u.stateName})`).join(', ');
+      logger.warn(`Skipping ${unresolved.length} district names with no LGD code: ${names}`);
+      await syncRunService.addError(run, new Error(`Unresolved names with no LGD code: ${names}`));
+    }
+
+    if (resolvedData.length === 0) {
+      if (ownsRun) {
+        await syncRunService.finishRun(run);
+      }
+      return [];
+    }
+
     const transaction = await sequelize.transaction();
     
     try {
       // STEP 1: Bulk process all unique states
-      const uniqueStates = this.extractUniqueStates(apiData);
+      const uniqueStates = this.extractUniqueStates(resolvedData);
       await this.bulkUpsertStates(uniqueStates, transaction);
 
       // STEP 2: Bulk process all unique districts
-      const uniqueDistricts = this.extractUniqueDistricts(apiData);
+      const uniqueDistricts = this.extractUniqueDistricts(resolvedData);
       await this.bulkUpsertDistricts(uniqueDistricts, transaction);
 
       // STEP 3: Bulk process all unique financial years
-      const uniqueFinYears = this.extractUniqueFinYears(apiData);
+      const uniqueFinYears = this.extractUniqueFinYears(resolvedData);
       await this.bulkUpsertFinancialYears(uniqueFinYears, transaction);
 
       // STEP 4: Bulk upsert performance data
-      const performanceRecords = this.preparePerformanceRecords(apiData);
+      const performanceRecords = this.preparePerformanceRecords(resolvedData);
       const insertedPerformances = await this.bulkUpsertPerformance(performanceRecords, transaction);
 
       // STEP 5: Bulk upsert extended metrics
-      await this.bulkUpsertExtendedMetrics(insertedPerformances, apiData, transaction);
+      await this.bulkUpsertExtendedMetrics(insertedPerformances, resolvedData, transaction);
+
+      // STEP 6: Recompute monthly increments for every affected district-year
+      await this.recomputeIncrements(insertedPerformances, transaction);
+
+      // STEP 7: Flag impossible values and month-over-month outliers for review
+      await anomalyService.detectAndStore(insertedPerformances, transaction);
 
       await transaction.commit();
-      logger.info(`Successfully processed ${apiData.length} records in bulk`);
+      logger.info(`Successfully processed ${resolvedData.length} records in bulk`);
+
+      // New states or districts must be visible to name lookups straight away
+      nameResolverService.invalidate();
+
+      await syncRunService.addProgress(run, { recordsUpserted: insertedPerformances.length });
+      if (ownsRun) {
+        await syncRunService.finishRun(run);
+      }
+
       return insertedPerformances;
 
     } catch (error) {
       await transaction.rollback();
       logger.error('Error in bulk processing:', error);
+
+      // A caller-owned run records the failure itself
+      if (ownsRun) {
+        await syncRunService.failRun(run, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a state/year (optionally one district) from the API and store it,
+   * recording the pull as a sync run. Returns the fetched records.
+   */
+  async fetchAndStore({ stateName, finYear, districtName = null, trigger = 'api' }) {
+    const syncRun = await syncRunService.startRun({ stateName, finYear, districtName, trigger });
+
+    try {
+      // Nothing fetched could be stored, so do not spend API calls on it
+      lgdService.assertDistrictsLoaded();
+
+      const result = await mgnregaApiService.fetchDistrictDataWithMeta({ stateName, finYear, districtName });
+
+      await syncRunService.addProgress(syncRun, {
+        pagesFetched: result.pagesFetched,
+        recordsFetched: result.recordsFetched,
+        responseBytes: result.responseBytes
+      });
+
+      if (result.records.length > 0) {
+        await this.processAndStoreDataBulk(result.records, { syncRun });
+      }
+
+      if (!result.complete) {
+        await syncRunService.addError(syncRun, new Error(`Incomplete fetch: ${mgnregaApiService.describeIncomplete(result)}`));
+      }
+
+      await syncRunService.finishRun(syncRun);
+      return result.records;
+    } catch (error) {
+      await syncRunService.failRun(syncRun, error);
       throw error;
     }
   }
 
+  /**
+   * Stream every page for a state/year from the API straight into the database,
+   * so a large state never has to be held in memory at once
+   */
+  async fetchAndStoreAllPages({ stateName, finYear, districtName = null, trigger = 'manual' }) {
+    const syncRun = await syncRunService.startRun({ stateName, finYear, districtName, trigger });
+    let recordsStored = 0;
+
+    try {
+      const summary = await mgnregaApiService.streamDistrictData({
+        stateName,
+        finYear,
+        districtName,
+        onPage: async (records, { pageNumber, total, responseBytes }) => {
+          await syncRunService.addProgress(syncRun, {
+            pagesFetched: 1,
+            recordsFetched: records.length,
+            responseBytes
+          });
+
+          const stored = await this.processAndStoreDataBulk(records, { syncRun });
+          recordsStored += stored.length;
+          logger.info(`Stored page ${pageNumber} for ${stateName} ${finYear} (${recordsStored}/${total ?? '?'})`);
+        }
+      });
+
+      if (!summary.complete) {
+        await syncRunService.addError(syncRun, new Error(`Incomplete fetch: ${mgnregaApiService.describeIncomplete(summary)}`));
+      }
+
+      await syncRunService.finishRun(syncRun);
+
+      // Search and name lookups should offer newly synced places without waiting for a lookup to reload them
+      await nameResolverService.rebuild().catch(error => {
+        logger.warn(`Failed to rebuild the name index after sync: ${error.message}`);
+      });
+
+      return { ...summary, recordsStored };
+    } catch (error) {
+      await syncRunService.failRun(syncRun, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve every record's state and district names to LGD codes. Records that
+   * cannot be resolved are returned separately instead of being given a code.
+   */
+  resolveRecordCodes(apiData) {
+    const records = [];
+    const unresolved = new Map();
+
+    apiData.forEach(record => {
+      const state = lgdService.resolveState(record.state_name);
+      const district = state ? lgdService.resolveDistrict(record.district_name, state.lgdCode) : null;
+
+      if (!district) {
+        unresolved.set(`${record.state_name}|${record.district_name}`, {
+          stateName: record.state_name,
+          districtName: record.district_name,
+          unresolved: state ? 'district' : 'state'
+        });
+        return;
+      }
+
+      records.push({
+        ...record,
+        lgdStateCode: state.lgdCode,
+        lgdStateName: state.name,
+        lgdDistrictCode: district.lgdCode,
+        lgdDistrictName: district.name
+      });
+    });
+
+    return { records, unresolved: Array.from(unresolved.values()) };
+  }
+
   /**
    * Extract unique states from API data
    */
@@ -49,11 +309,10 @@ class DataProcessingService {
     const statesMap = new Map();
     
     apiData.forEach(record => {
-      const stateName = record.state_name?.toUpperCase() || '';
-      if (!statesMap.has(stateName)) {
-        statesMap.set(stateName, {
-          stateCode: record.state_code || this.generateStateCode(record.state_name),
-          stateName: stateName
+      if (!statesMap.has(record.lgdStateCode)) {
+        statesMap.set(record.lgdStateCode, {
+          stateCode: record.lgdStateCode,
+          stateName: record.lgdStateName
         });
       }
     });
@@ -68,14 +327,11 @@ class DataProcessingService {
     const districtsMap = new Map();
     
     apiData.forEach(record => {
-      const stateCode = record.state_code || this.generateStateCode(record.state_name);
-      const districtCode = record.district_code || this.generateDistrictCode(record.district_name, stateCode);
-      
-      if (!districtsMap.has(districtCode)) {
-        districtsMap.set(districtCode, {
-          districtCode: districtCode,
-          districtName: record.district_name?.toUpperCase() || '',
-          stateCode: stateCode
+      if (!districtsMap.has(record.lgdDistrictCode)) {
+        districtsMap.set(record.lgdDistrictCode, {
+          districtCode: record.lgdDistrictCode,
+          districtName: record.lgdDistrictName,
+          stateCode: record.lgdStateCode
         });
       }
     });
@@ -154,13 +410,11 @@ class DataProcessingService {
    */
   preparePerformanceRecords(apiData) {
     return apiData.map(record => {
-      const stateCode = record.state_code || this.generateStateCode(record.state_name);
-      const districtCode = record.district_code || this.generateDistrictCode(record.district_name, stateCode);
-      
-      return {
-        districtCode: districtCode,
+      const performance = {
+        districtCode: record.lgdDistrictCode,
         finYear: record.fin_year || '',
         month: record.month?.toUpperCase() || null,
+        monthIndex: this.getFiscalMonthIndex(record.month) || null,
         approvedLabourBudget: parseInt(record.Approved_Labour_Budget) || 0,
         averageWageRate: parseFloat(record.Average_Wage_rate_per_day_per_person) || 0,
         averageDaysEmployment: parseFloat(record.Average_days_of_employment_provided_per_Household) || 0,
@@ -169,6 +423,7 @@ class DataProcessingService {
         completedWorks: parseInt(record.Number_of_Completed_Works) || 0,
         ongoingWorks: parseInt(record.Number_of_Ongoing_Works) || 0,
         womenPersondays: parseFloat(record.Women_Persondays) || 0,
+        persondays: parseInt(record.Persondays_of_Central_Liability_so_far) || 0,
         scPersondays: parseInt(record.SC_persondays) || 0,
         stPersondays: parseInt(record.ST_persondays) || 0,
         totalExpenditure: parseInt(record.Total_Exp) || 0,
@@ -176,6 +431,8 @@ class DataProcessingService {
         households100Days: parseInt(record.Total_No_of_HHs_completed_100_Days_of_Wage_Employment) || 0,
         paymentWithin15Days: parseFloat(record.percentage_payments_gererated_within_15_days) || 0
       };
+
+      return { ...performance, ...this.scorePerformance(performance) };
     });
   }
 
@@ -186,19 +443,105 @@ class DataProcessingService {
     if (performanceRecords.length === 0) return [];
 
     // Use bulkCreate with updateOnDuplicate for upsert behavior
-    const result = await DistrictPerformance.bulkCreate(performanceRecords, {
+    await DistrictPerformance.bulkCreate(performanceRecords, {
       updateOnDuplicate: [
-        'approvedLabourBudget', 'averageWageRate', 'averageDaysEmployment',
+        'monthIndex', 'approvedLabourBudget', 'averageWageRate', 'averageDaysEmployment',
         'totalHouseholdsWorked', 'totalIndividualsWorked', 'completedWorks',
-        'ongoingWorks', 'womenPersondays', 'scPersondays', 'stPersondays',
-        'totalExpenditure', 'wages', 'households100Days', 'paymentWithin15Days'
+        'ongoingWorks', 'womenPersondays', 'persondays', 'scPersondays', 'stPersondays',
+        'totalExpenditure', 'wages', 'households100Days', 'paymentWithin15Days',
+        'performanceScore', 'performanceGrade', 'scoreVersion'
       ],
-      transaction,
-      returning: true // Get inserted records back
+      transaction
     });
 
     logger.info(`Bulk upserted ${performanceRecords.length} performance records`);
-    return result;
+
+    // MySQL does not report ids for rows updated on duplicate, so read them back
+    const keys = new Set(performanceRecords.map(r => `${r.districtCode}_${r.finYear}_${r.month}`));
+    const stored = await DistrictPerformance.findAll({
+      where: {
+        districtCode: { [Op.in]: [...new Set(performanceRecords.map(r => r.districtCode))] },
+        finYear: { [Op.in]: [...new Set(performanceRecords.map(r => r.finYear))] },
+        month: { [Op.in]: [...new Set(performanceRecords.map(r => r.month))] }
+      },
+      transaction
+    });
+
+    return stored.filter(perf => keys.has(`${perf.districtCode}_${perf.finYear}_${perf.month}`));
+  }
+
+  /**
+   * Derive monthly increments from one district-year of cumulative records.
+   * A month whose predecessor is missing gets the increment since the last
+   * available month, with incrementMonths saying how many months it spans.
+   */
+  computeIncrements(records) {
+    const ordered = records
+      .filter(record => this.getFiscalMonthIndex(record.month) > 0)
+      .sort((a, b) => this.getFiscalMonthIndex(a.month) - this.getFiscalMonthIndex(b.month));
+
+    let previous = null;
+    return ordered.map(record => {
+      const monthIndex = this.getFiscalMonthIndex(record.month);
+      const increments = {
+        incrementMonths: previous ? monthIndex - this.getFiscalMonthIndex(previous.month) : monthIndex
+      };
+
+      Object.entries(INCREMENT_METRICS).forEach(([cumulative, increment]) => {
+        const previousValue = previous ? parseFloat(previous[cumulative]) || 0 : 0;
+        increments[increment] = Math.round((parseFloat(record[cumulative]) || 0) - previousValue);
+      });
+
+      previous = record;
+      return { record, increments };
+    });
+  }
+
+  /**
+   * Recompute stored increments for every district-year touched by the given records
+   */
+  async recomputeIncrements(performances, transaction) {
+    if (performances.length === 0) return;
+
+    const pairs = new Set(performances.map(p => `${p.districtCode}_${p.finYear}`));
+    const rows = await DistrictPerformance.findAll({
+      where: {
+        districtCode: { [Op.in]: [...new Set(performances.map(p => p.districtCode))] },
+        finYear: { [Op.in]: [...new Set(performances.map(p => p.finYear))] }
+      },
+      attributes: ['id', 'districtCode', 'finYear', 'month', ...Object.keys(INCREMENT_METRICS)],
+      transaction
+    });
+
+    const byDistrictYear = new Map();
+    rows
+      .filter(row => pairs.has(`${row.districtCode}_${row.finYear}`))
+      .forEach(row => {
+        const key = `${row.districtCode}_${row.finYear}`;
+        byDistrictYear.set(key, [...(byDistrictYear.get(key) || []), row]);
+      });
+
+    const updates = [];
+    byDistrictYear.forEach(records => {
+      this.computeIncrements(records).forEach(({ record, increments }) => {
+        updates.push({
+          id: record.id,
+          districtCode: record.districtCode,
+          finYear: record.finYear,
+          month: record.month,
+          ...increments
+        });
+      });
+    });
+
+    if (updates.length === 0) return;
+
+    await DistrictPerformance.bulkCreate(updates, {
+      updateOnDuplicate: ['incrementMonths', ...Object.values(INCREMENT_METRICS)],
+      transaction
+    });
+
+    logger.info(`Recomputed increments for ${byDistrictYear.size} district-years`);
   }
 
   /**
@@ -210,24 +553,26 @@ class DataProcessingService {
     // Build raw SQL INSERT ... ON DUPLICATE KEY UPDATE
     const values = performanceRecords.map(record => 
       `(${sequelize.escape(record.districtCode)}, ${sequelize.escape(record.finYear)}, ` +
-      `${sequelize.escape(record.month)}, ${record.approvedLabourBudget}, ` +
+      `${sequelize.escape(record.month)}, ${sequelize.escape(record.monthIndex)}, ${record.approvedLabourBudget}, ` +
       `${record.averageWageRate}, ${record.averageDaysEmployment}, ` +
       `${record.totalHouseholdsWorked}, ${record.totalIndividualsWorked}, ` +
-      `${record.completedWorks}, ${record.ongoingWorks}, ${record.womenPersondays}, ` +
+      `${record.completedWorks}, ${record.ongoingWorks}, ${record.womenPersondays}, ${record.persondays}, ` +
       `${record.scPersondays}, ${record.stPersondays}, ${record.totalExpenditure}, ` +
       `${record.wages}, ${record.households100Days}, ${record.paymentWithin15Days}, ` +
+      `${record.performanceScore}, ${sequelize.escape(record.performanceGrade)}, ${sequelize.escape(record.scoreVersion)}, ` +
       `NOW(), NOW())`
     ).join(',\n');
 
     const sql = `
       INSERT INTO district_performance (
-        district_code, fin_year, month, approved_labour_budget, average_wage_rate,
+        district_code, fin_year, month, month_index, approved_labour_budget, average_wage_rate,
         average_days_employment, total_households_worked, total_individuals_worked,
-        completed_works, ongoing_works, women_persondays, sc_persondays, st_persondays,
+        completed_works, ongoing_works, women_persondays, persondays, sc_persondays, st_persondays,
         total_expenditure, wages, households_100_days, payment_within_15_days,
-        created_at, updated_at
+        performance_score, performance_grade, score_version, created_at, updated_at
       ) VALUES ${values}
       ON DUPLICATE KEY UPDATE
+        month_index = VALUES(month_index),
         approved_labour_budget = VALUES(approved_labour_budget),
         average_wage_rate = VALUES(average_wage_rate),
         average_days_employment = VALUES(average_days_employment),
@@ -236,12 +581,16 @@ class DataProcessingService {
         completed_works = VALUES(completed_works),
         ongoing_works = VALUES(ongoing_works),
         women_persondays = VALUES(women_persondays),
+        persondays = VALUES(persondays),
         sc_persondays = VALUES(sc_persondays),
         st_persondays = VALUES(st_persondays),
         total_expenditure = VALUES(total_expenditure),
         wages = VALUES(wages),
         households_100_days = VALUES(households_100_days),
         payment_within_15_days = VALUES(payment_within_15_days),
+        performance_score = VALUES(performance_score),
+        performance_grade = VALUES(performance_grade),
+        score_version = VALUES(score_version),
         updated_at = NOW()
     `;
 
@@ -261,6 +610,29 @@ class DataProcessingService {
     });
   }
 
+  /**
+   * Prepare extended metrics for one API record
+   */
+  prepareExtendedMetrics(record) {
+    return {
+      totalWorkers: parseInt(record.Total_No_of_Workers) || 0,
+      totalActiveWorkers: parseInt(record.Total_No_of_Active_Workers) || 0,
+      totalJobcardsIssued: parseInt(record.Total_No_of_JobCards_issued) || 0,
+      totalActiveJobcards: parseInt(record.Total_No_of_Active_Job_Cards) || 0,
+      scWorkersActive: parseInt(record.SC_workers_against_active_workers) || 0,
+      stWorkersActive: parseInt(record.ST_workers_against_active_workers) || 0,
+      differentlyAbledWorked: parseInt(record.Differently_abled_persons_worked) || 0,
+      percentNrmExpenditure: parseFloat(record.percent_of_NRM_Expenditure) || 0,
+      percentCategoryBWorks: parseFloat(record.percent_of_Category_B_Works) || 0,
+      percentAgricultureAllied: parseFloat(record.percent_of_Expenditure_on_Agriculture_Allied_Works) || 0,
+      totalAdminExpenditure: parseFloat(record.Total_Adm_Expenditure) || 0,
+      materialSkilledWages: parseFloat(record.Material_and_skilled_Wages) || 0,
+      persondaysCentralLiability: parseInt(record.Persondays_of_Central_Liability_so_far) || 0,
+      totalWorksTakenup: parseInt(record.Total_No_of_Works_Takenup) || 0,
+      gpsWithNilExp: parseInt(record.Number_of_GPs_with_NIL_exp) || 0
+    };
+  }
+
   /**
    * Bulk upsert extended metrics
    */
@@ -270,80 +642,32 @@ class DataProcessingService {
     // Create a map for quick lookup
     const apiDataMap = new Map();
     apiData.forEach(record => {
-      const stateCode = record.state_code || this.generateStateCode(record.state_name);
-      const districtCode = record.district_code || this.generateDistrictCode(record.district_name, stateCode);
-      const key = `${districtCode}_${record.fin_year || ''}_${record.month?.toUpperCase() || ''}`;
+      const key = `${record.lgdDistrictCode}_${record.fin_year || ''}_${record.month?.toUpperCase() || ''}`;
       apiDataMap.set(key, record);
     });
 
-    const extendedMetricsRecords = performances.map(perf => {
-      const key = `${perf.districtCode}_${perf.finYear}_${perf.month}`;
-      const originalRecord = apiDataMap.get(key);
+    const extendedMetricsRecords = performances
+      .map(perf => {
+        const key = `${perf.districtCode}_${perf.finYear}_${perf.month}`;
+        const originalRecord = apiDataMap.get(key);
+        if (!originalRecord) return null;
 
-      return {
-        performanceId: perf.id,
-        // Only include fields that exist in your DistrictExtendedMetrics model
-        totalWorkers: 0,
-        totalActiveWorkers: 0,
-        totalJobcardsIssued: 0,
-        totalActiveJobcards: 0,
-        scWorkersActive: 0,
-        stWorkersActive: 0,
-        differentlyAbledWorked: 0,
-        percentNrmExpenditure: 0,
-        percentCategoryBWorks: 0,
-        percentAgricultureAllied: 0,
-        totalAdminExpenditure: 0,
-        materialSkilledWages: 0,
-        persondaysCentralLiability: 0,
-        totalWorksTakenup: 0,
-        gpsWithNilExp: 0
-      };
-    });
+        return {
+          performanceId: perf.id,
+          ...this.prepareExtendedMetrics(originalRecord)
+        };
+      })
+      .filter(Boolean);
+
+    if (extendedMetricsRecords.length === 0) return;
 
-    // Use ignoreDuplicates instead of updateOnDuplicate if you don't need to update
+    // Upsert on the unique performanceId so later syncs correct earlier values
     await DistrictExtendedMetrics.bulkCreate(extendedMetricsRecords, {
-      ignoreDuplicates: true, // Just skip if exists
+      updateOnDuplicate: Object.keys(extendedMetricsRecords[0]).filter(field => field !== 'performanceId'),
       transaction
     });
 
-    logger.info(`Bulk inserted ${extendedMetricsRecords.length} extended metrics`);
-  }
-
-  // ... Keep all your existing helper methods (generateStateCode, calculateSCSTPercentage, etc.)
-  generateStateCode(stateName) {
-    if (!stateName) return 'XX';
-    
-    const stateCodeMap = {
-      'ANDHRA PRADESH': 'AP', 'ARUNACHAL PRADESH': 'AR', 'ASSAM': 'AS',
-      'BIHAR': 'BR', 'CHHATTISGARH': 'CG', 'GOA': 'GA', 'GUJARAT': 'GJ',
-      'HARYANA': 'HR', 'HIMACHAL PRADESH': 'HP', 'JHARKHAND': 'JH',
-      'KARNATAKA': 'KA', 'KERALA': 'KL', 'MADHYA PRADESH': 'MP',
-      'MAHARASHTRA': 'MH', 'MANIPUR': 'MN', 'MEGHALAYA': 'ML',
-      'MIZORAM': 'MZ', 'NAGALAND': 'NL', 'ODISHA': 'OR', 'PUNJAB': 'PB',
-      'RAJASTHAN': 'RJ', 'SIKKIM': 'SK', 'TAMIL NADU': 'TN',
-      'TELANGANA': 'TG', 'TRIPURA': 'TR', 'UTTAR PRADESH': 'UP',
-      'UTTARAKHAND': 'UK', 'WEST BENGAL': 'WB'
-    };
-
-    return stateCodeMap[stateName.toUpperCase()] || stateName.substring(0, 2).toUpperCase();
-  }
-
-  generateDistrictCode(districtName, stateCode) {
-    if (!districtName || !stateCode) return 'UNKNOWN';
-    const districtPrefix = districtName.substring(0, 3).toUpperCase();
-    const hash = Math.abs(this.hashCode(districtName)) % 1000;
-    return `${stateCode}${districtPrefix}${hash.toString().padStart(3, '0')}`;
-  }
-
-  hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return hash;
+    logger.info(`Bulk upserted ${extendedMetricsRecords.length} extended metrics`);
   }
 
   parseFinancialYear(finYear) {
@@ -355,6 +679,73 @@ class DataProcessingService {
     return { startYear: parseInt(startYear), endYear: parseInt(endYear) };
   }
 
+  /**
+   * Financial year containing the given date (Indian April-March calendar, IST)
+   */
+  getFinancialYearForDate(date = new Date()) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const year = ist.getUTCFullYear();
+    const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+    return `${startYear}-${startYear + 1}`;
+  }
+
+  getPreviousFinancialYear(finYear) {
+    const { startYear } = this.parseFinancialYear(finYear);
+    return `${startYear - 1}-${startYear}`;
+  }
+
+  /**
+   * Current financial year as persisted on the model, falling back to the calendar
+   */
+  async getCurrentFinancialYear() {
+    const current = await FinancialYear.findOne({ where: { isCurrent: true } });
+    return current ? current.finYear : this.getFinancialYearForDate();
+  }
+
+  /**
+   * Financial year to show for a district: the requested one, else the current
+   * year, else (early in a new year) the latest year that has data
+   */
+  async resolveDistrictFinYear(districtCode, finYear = null) {
+    if (finYear) return finYear;
+
+    const currentFinYear = await this.getCurrentFinancialYear();
+    const currentCount = await DistrictPerformance.count({ where: { districtCode, finYear: currentFinYear } });
+    if (currentCount > 0) return currentFinYear;
+
+    return await DistrictPerformance.max('finYear', { where: { districtCode } }) || currentFinYear;
+  }
+
+  /**
+   * Mark the financial year for the given date as current (and only that one).
+   * Run at startup and daily so the flag moves on 1 April.
+   */
+  async refreshCurrentFinancialYear(date = new Date()) {
+    const finYear = this.getFinancialYearForDate(date);
+    const { startYear, endYear } = this.parseFinancialYear(finYear);
+
+    await sequelize.transaction(async (transaction) => {
+      await FinancialYear.findOrCreate({
+        where: { finYear },
+        defaults: { startYear, endYear },
+        transaction
+      });
+
+      await FinancialYear.update(
+        { isCurrent: false },
+        { where: { isCurrent: true, finYear: { [Op.ne]: finYear } }, transaction }
+      );
+
+      await FinancialYear.update(
+        { isCurrent: true },
+        { where: { finYear }, transaction }
+      );
+    });
+
+    logger.info(`Current financial year is ${finYear}`);
+    return finYear;
+  }
+
   calculateSCSTPercentage(performance) {
     const total = performance.totalIndividualsWorked || 1;
     const scSt = (performance.scPersondays || 0) + (performance.stPersondays || 0);
@@ -372,69 +763,226 @@ class DataProcessingService {
     return parseFloat(((performance.completedWorks / total) * 100).toFixed(2));
   }
 
+  /**
+   * Persondays generated as a percentage of the approved labour budget, which is set in persondays.
+   * Null when no budget has been approved.
+   */
   calculateBudgetUtilization(performance) {
-    const budget = performance.approvedLabourBudget || 1;
-    return parseFloat(((performance.totalExpenditure / budget) * 100).toFixed(2));
+    const budget = parseFloat(performance.approvedLabourBudget) || 0;
+    if (budget <= 0) return null;
+    return parseFloat((((parseFloat(performance.persondays) || 0) / budget) * 100).toFixed(2));
   }
 
+  /**
+   * Wages as a percentage of total expenditure (both in the same upstream units), null without expenditure
+   */
+  calculateWageShare(performance) {
+    const expenditure = parseFloat(performance.totalExpenditure) || 0;
+    if (expenditure <= 0) return null;
+    return parseFloat((((parseFloat(performance.wages) || 0) / expenditure) * 100).toFixed(2));
+  }
+
+  /**
+   * Score a record with the active scoring methodology (see src/config/scoring.js)
+   */
   calculatePerformanceScore(district) {
-    let score = 0;
-    score += Math.min((district.averageDaysEmployment / 100) * 30, 30);
-    score += (district.paymentWithin15Days / 100) * 25;
-    score += Math.min((district.womenPersondays / 50) * 20, 20);
-    const totalWorks = district.completedWorks + district.ongoingWorks;
-    if (totalWorks > 0) {
-      score += (district.completedWorks / totalWorks) * 25;
+    return scoringService.score(district).score;
+  }
+
+  /**
+   * Score with the methodology version and per-component breakdown
+   */
+  getPerformanceScoreBreakdown(district) {
+    return scoringService.score(district);
+  }
+
+  /**
+   * Stored score for a record, computed when it has not been scored with the active methodology
+   */
+  getPerformanceScore(district) {
+    if (district.performanceGrade && district.scoreVersion === scoringService.activeVersion) {
+      return district.performanceScore;
     }
-    return Math.round(score);
+    return this.calculatePerformanceScore(district);
+  }
+
+  getScoringVersion() {
+    return scoringService.activeVersion;
+  }
+
+  /**
+   * Score, grade and methodology columns for a performance record
+   */
+  scorePerformance(performance) {
+    const performanceScore = this.calculatePerformanceScore(performance);
+    return {
+      performanceScore,
+      performanceGrade: this.getGradeForScore(performanceScore).grade,
+      scoreVersion: scoringService.activeVersion
+    };
+  }
+
+  /**
+   * Recompute stored scores and grades, e.g. after the active methodology changes
+   */
+  async recomputePerformanceScores({ finYear = null, batchSize = 1000 } = {}) {
+    let lastId = 0;
+    let updated = 0;
+
+    for (;;) {
+      const rows = await DistrictPerformance.findAll({
+        where: {
+          id: { [Op.gt]: lastId },
+          ...(finYear ? { finYear } : {})
+        },
+        order: [['id', 'ASC']],
+        limit: batchSize
+      });
+
+      if (rows.length === 0) break;
+
+      await DistrictPerformance.bulkCreate(
+        rows.map(row => ({
+          id: row.id,
+          districtCode: row.districtCode,
+          finYear: row.finYear,
+          month: row.month,
+          ...this.scorePerformance(row)
+        })),
+        { updateOnDuplicate: ['performanceScore', 'performanceGrade', 'scoreVersion'] }
+      );
+
+      updated += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+
+    logger.info(`Recomputed performance scores for ${updated} records`);
+    return updated;
   }
 
   /**
    * Get performance grade based on score
    */
   getPerformanceGrade(district) {
-    const score = this.calculatePerformanceScore(district);
-    
-    if (score >= 80) return { grade: 'A', label: 'Excellent', color: '#43A047' };
-    if (score >= 60) return { grade: 'B', label: 'Good', color: '#7CB342' };
-    if (score >= 40) return { grade: 'C', label: 'Average', color: '#FB8C00' };
-    if (score >= 20) return { grade: 'D', label: 'Below Average', color: '#F57C00' };
-    return { grade: 'E', label: 'Poor', color: '#E65100' };
+    return this.getGradeForScore(this.getPerformanceScore(district));
+  }
+
+  /**
+   * Rank and percentile of a value among a set of values, higher first with ties sharing a rank
+   */
+  rankValue(values, value) {
+    return rankAmong(values, value);
   }
 
+  /**
+   * Get performance grade for a score
+   */
+  getGradeForScore(score) {
+    return scoringService.grade(score);
+  }
+
+
   /**
    * Generate trend data from historical records
    */
   generateTrendData(historicalData) {
-    const trends = {};
-    
-    historicalData.forEach(record => {
-      const year = record.finYear;
-      if (!trends[year]) {
-        trends[year] = {
+    const byYear = this.pickRecordPerYear(historicalData);
+
+    return Object.keys(byYear)
+      .map(year => {
+        const latest = byYear[year];
+        return {
           year: year,
-          avgDaysEmployment: [],
-          totalHouseholds: 0,
-          avgWageRate: [],
-          womenParticipation: []
+          month: latest.month,
+          avgDaysEmployment: parseFloat(latest.averageDaysEmployment) || 0,
+          totalHouseholds: parseInt(latest.totalHouseholdsWorked) || 0,
+          avgWageRate: parseFloat(latest.averageWageRate) || 0,
+          womenParticipation: parseFloat(latest.womenPersondays) || 0
         };
-      }
-      
-      trends[year].avgDaysEmployment.push(record.averageDaysEmployment);
-      trends[year].totalHouseholds += record.totalHouseholdsWorked;
-      trends[year].avgWageRate.push(record.averageWageRate);
-      trends[year].womenParticipation.push(record.womenPersondays);
+      })
+      .sort((a, b) => b.year.localeCompare(a.year));
+  }
+
+  /**
+   * One record per financial year: the given fiscal month, or the latest month when none is given.
+   * Monthly rows are cumulative year-to-date, so a single month stands for the year so far.
+   */
+  pickRecordPerYear(performances, month = null) {
+    const monthIndex = month ? this.getFiscalMonthIndex(month) : null;
+    const byYear = {};
+
+    performances.forEach(record => {
+      (byYear[record.finYear] = byYear[record.finYear] || []).push(record);
     });
-    
-    // Calculate averages
-    Object.keys(trends).forEach(year => {
-      const data = trends[year];
-      data.avgDaysEmployment = data.avgDaysEmployment.reduce((a, b) => a + b, 0) / data.avgDaysEmployment.length;
-      data.avgWageRate = data.avgWageRate.reduce((a, b) => a + b, 0) / data.avgWageRate.length;
-      data.womenParticipation = data.womenParticipation.reduce((a, b) => a + b, 0) / data.womenParticipation.length;
+
+    Object.keys(byYear).forEach(year => {
+      byYear[year] = monthIndex
+        ? byYear[year].find(record => this.getFiscalMonthIndex(record.month) === monthIndex) || null
+        : this.getLatestByFiscalMonth(byYear[year]);
+      if (!byYear[year]) delete byYear[year];
     });
-    
-    return Object.values(trends).sort((a, b) => b.year.localeCompare(a.year));
+
+    return byYear;
+  }
+
+  /**
+   * Change in one metric between two years
+   */
+  calculateChange(current, previous) {
+    if (current === null || previous === null) {
+      return { current, previous, change: null, percentChange: null, direction: null };
+    }
+
+    const change = round2(current - previous);
+    return {
+      current,
+      previous,
+      change,
+      percentChange: previous !== 0 ? round2((change / Math.abs(previous)) * 100) : null,
+      direction: change > 0 ? 'up' : change < 0 ? 'down' : 'unchanged'
+    };
+  }
+
+  /**
+   * Compare the same fiscal month across financial years, each year against the one before it
+   */
+  buildYearOverYear(performances, finYears, month) {
+    const byYear = this.pickRecordPerYear(performances, month);
+    const orderedYears = [...finYears].sort().reverse();
+
+    const years = orderedYears.map(finYear => ({
+      finYear,
+      available: Boolean(byYear[finYear]),
+      metrics: byYear[finYear] ? this.pickMetrics(byYear[finYear]) : null
+    }));
+
+    const comparisons = [];
+    for (let i = 0; i < years.length - 1; i++) {
+      const current = years[i];
+      const previous = years[i + 1];
+      const changes = {};
+
+      COMPARISON_METRICS.forEach(metric => {
+        changes[metric] = this.calculateChange(
+          current.metrics ? current.metrics[metric] : null,
+          previous.metrics ? previous.metrics[metric] : null
+        );
+      });
+
+      comparisons.push({
+        finYear: current.finYear,
+        previousFinYear: previous.finYear,
+        available: current.available && previous.available,
+        changes
+      });
+    }
+
+    return {
+      month: FISCAL_MONTHS[this.getFiscalMonthIndex(month) - 1],
+      metrics: COMPARISON_METRICS,
+      years,
+      comparisons
+    };
   }
 
   /**
@@ -476,11 +1024,374 @@ class DataProcessingService {
   }
 
   /**
-   * Generate comparison between districts
+   * Position of a month in the financial year (April = 1 ... March = 12), 0 if unknown
+   */
+  getFiscalMonthIndex(month) {
+    // Upstream mixes full and abbreviated names ("December", "Dec"), so match on the first three letters
+    const prefix = (month || '').toString().trim().toUpperCase().slice(0, 3);
+    if (prefix.length < 3) return 0;
+    return FISCAL_MONTHS.findIndex(name => name.startsWith(prefix)) + 1;
+  }
+
+  /**
+   * Most recent record of a financial year by fiscal month order
+   */
+  getLatestByFiscalMonth(performances) {
+    const indexOf = (perf) => perf.monthIndex || this.getFiscalMonthIndex(perf.month);
+    return performances.reduce((latest, perf) => {
+      if (!latest) return perf;
+      return indexOf(perf) > indexOf(latest) ? perf : latest;
+    }, null);
+  }
+
+  /**
+   * Pick metrics from a performance record as numbers (DECIMAL columns come back as strings)
+   */
+  pickMetrics(performance, metrics = COMPARISON_METRICS) {
+    const picked = {};
+    metrics.forEach(metric => {
+      picked[metric] = parseFloat(performance[metric]) || 0;
+    });
+    return picked;
+  }
+
+  /**
+   * Reduced payload for low-bandwidth clients
+   */
+  simplifyPerformance(performance) {
+    return {
+      ...this.pickMetrics(performance, SIMPLIFIED_METRICS),
+      grade: this.getPerformanceGrade(performance).grade,
+      hasAnomalies: Boolean(performance.hasAnomalies)
+    };
+  }
+
+  /**
+   * Twelve fiscal months of one district-year in the cumulative or monthly view.
+   * Missing months are listed with available: false; a monthly increment that
+   * spans a gap carries incrementMonths > 1.
+   */
+  buildMonthlySeries(performances, { view = 'cumulative' } = {}) {
+    // Rows ingested before increments were stored are computed on the fly
+    const computed = new Map(
+      this.computeIncrements(performances).map(({ record, increments }) => [record.month, increments])
+    );
+    const byMonth = new Map(performances.map(perf => [this.getFiscalMonthIndex(perf.month), perf]));
+
+    return FISCAL_MONTHS.map((month, index) => {
+      const perf = byMonth.get(index + 1);
+      const entry = { month, monthIndex: index + 1, available: Boolean(perf) };
+      if (perf) entry.hasAnomalies = Boolean(perf.hasAnomalies);
+
+      if (!perf) {
+        entry.values = null;
+        return entry;
+      }
+
+      if (view === 'monthly') {
+        const stored = perf.incrementMonths !== null && perf.incrementMonths !== undefined;
+        const increments = stored ? perf : computed.get(perf.month);
+        entry.incrementMonths = parseInt(increments.incrementMonths) || 1;
+        entry.values = {};
+        Object.entries(INCREMENT_METRICS).forEach(([cumulative, increment]) => {
+          entry.values[cumulative] = parseFloat(increments[increment]) || 0;
+        });
+      } else {
+        entry.values = this.pickMetrics(perf, Object.keys(INCREMENT_METRICS));
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * One metric as an April-March series per financial year, oldest year first.
+   * Months without data are null so every series lines up on the same 12 labels;
+   * flaggedMonths lists the month numbers whose rows have data anomalies.
+   */
+  buildTimeSeries(performances, metric, finYears) {
+    const byYear = new Map(finYears.map(finYear => [finYear, new Array(FISCAL_MONTHS.length).fill(null)]));
+    const flagged = new Map(finYears.map(finYear => [finYear, []]));
+
+    performances.forEach(perf => {
+      const values = byYear.get(perf.finYear);
+      const monthIndex = perf.monthIndex || this.getFiscalMonthIndex(perf.month);
+      if (values && monthIndex > 0) {
+        values[monthIndex - 1] = parseFloat(perf[metric]) || 0;
+        if (perf.hasAnomalies) flagged.get(perf.finYear).push(monthIndex);
+      }
+    });
+
+    return {
+      metric,
+      months: FISCAL_MONTHS,
+      series: [...finYears].sort().map(finYear => ({
+        finYear,
+        values: byYear.get(finYear),
+        monthsAvailable: byYear.get(finYear).filter(value => value !== null).length,
+        flaggedMonths: flagged.get(finYear).sort((a, b) => a - b)
+      }))
+    };
+  }
+
+  /**
+   * One row per district: the latest by fiscal month, and of two spellings of the same
+   * month ("April", "APRIL") the one updated last
+   */
+  latestRowPerDistrict(rows) {
+    const latest = new Map();
+    rows.forEach(row => {
+      const current = latest.get(row.districtCode);
+      const newer = !current
+        || row.monthIndex > current.monthIndex
+        || (row.monthIndex === current.monthIndex && new Date(row.updated_at) > new Date(current.updated_at));
+      if (newer) latest.set(row.districtCode, row);
+    });
+    return Array.from(latest.values());
+  }
+
+  /**
+   * Every district's row for one month of a financial year. The month is matched on
+   * monthIndex, since upstream spells the same month several ways.
+   */
+  async findDistrictRowsForMonth({ finYear, month, attributes = null, include = [] }) {
+    const monthIndex = this.getFiscalMonthIndex(month);
+    if (!monthIndex) return [];
+
+    const rows = await DistrictPerformance.findAll({
+      where: { finYear, monthIndex },
+      ...(attributes && { attributes: [...new Set(['districtCode', 'month', 'monthIndex', 'updated_at', ...attributes])] }),
+      include,
+      raw: true,
+      nest: true
+    });
+
+    return this.latestRowPerDistrict(rows);
+  }
+
+  /**
+   * Every district's latest row of a financial year, so a district that has not yet
+   * reported the newest month still counts with its year-to-date figures
+   */
+  async findLatestDistrictRows({ finYear, attributes = null, include = [] }) {
+    const rows = await DistrictPerformance.findAll({
+      where: { finYear, monthIndex: { [Op.ne]: null } },
+      ...(attributes && { attributes: [...new Set(['districtCode', 'month', 'monthIndex', 'updated_at', ...attributes])] }),
+      include,
+      raw: true,
+      nest: true
+    });
+
+    return this.latestRowPerDistrict(rows);
+  }
+
+  /**
+   * How many of the given district rows fall in each month, newest month first
+   */
+  countRowsByMonth(rows) {
+    const counts = new Map();
+    rows.forEach(row => counts.set(row.monthIndex, (counts.get(row.monthIndex) || 0) + 1));
+    return Array.from(counts.entries())
+      .sort(([a], [b]) => b - a)
+      .map(([monthIndex, districts]) => ({ month: FISCAL_MONTHS[monthIndex - 1], districts }));
+  }
+
+  /**
+   * Average of the headline metrics across districts for one month, optionally within a state
+   */
+  async calculateMetricAverages({ finYear, month, stateCode = null }) {
+    const rows = await this.findDistrictRowsForMonth({
+      finYear,
+      month,
+      attributes: COMPARISON_METRICS,
+      include: stateCode ? [
+        {
+          model: District,
+          as: 'district',
+          where: { stateCode },
+          attributes: []
+        }
+      ] : []
+    });
+
+    const averages = { districtCount: rows.length };
+    COMPARISON_METRICS.forEach(metric => {
+      const sum = rows.reduce((total, row) => total + (parseFloat(row[metric]) || 0), 0);
+      averages[metric] = rows.length > 0 ? round2(sum / rows.length) : 0;
+    });
+    return averages;
+  }
+
+  /**
+   * Latest (year-to-date) record for each financial year, newest year first
+   */
+  buildYearlyHistory(performances, { simplified = false } = {}) {
+    const byYear = new Map();
+    performances.forEach(perf => {
+      byYear.set(perf.finYear, [...(byYear.get(perf.finYear) || []), perf]);
+    });
+
+    return Array.from(byYear.entries())
+      .map(([finYear, records]) => {
+        const latest = this.getLatestByFiscalMonth(records);
+        return {
+          finYear,
+          month: latest.month,
+          isYearComplete: this.getFiscalMonthIndex(latest.month) === FISCAL_MONTHS.length,
+          metrics: simplified ? this.simplifyPerformance(latest) : this.pickMetrics(latest)
+        };
+      })
+      .sort((a, b) => b.finYear.localeCompare(a.finYear));
+  }
+
+  /**
+   * Rank and percentile of a district on each headline metric, within its state and nationally.
+   * Every district is compared at the same month, since upstream figures are cumulative.
+   */
+  async calculateDistrictRankings(districtCode, finYear, month) {
+    const rows = await this.findDistrictRowsForMonth({
+      finYear,
+      month,
+      include: [
+        {
+          model: District,
+          as: 'district',
+          attributes: ['stateCode']
+        }
+      ]
+    });
+
+    const own = rows.find(row => row.districtCode === districtCode);
+    if (!own) return null;
+
+    const stateRows = rows.filter(row => row.district.stateCode === own.district.stateCode);
+    const valueOf = (row, metric) => metric === 'performanceScore'
+      ? this.getPerformanceScore(row)
+      : parseFloat(row[metric]) || 0;
+
+    const metrics = {};
+    RANKING_METRICS.forEach(metric => {
+      const value = valueOf(own, metric);
+      metrics[metric] = {
+        value,
+        state: rankAmong(stateRows.map(row => valueOf(row, metric)), value),
+        national: rankAmong(rows.map(row => valueOf(row, metric)), value)
+      };
+    });
+
+    return {
+      finYear,
+      month,
+      stateCode: own.district.stateCode,
+      districtsInState: stateRows.length,
+      districtsNationally: rows.length,
+      metrics
+    };
+  }
+
+  /**
+   * Sum the cumulative totals and average the rates over a set of district rows
+   */
+  aggregatePerformances(rows) {
+    const totals = {};
+    TOTAL_METRICS.forEach(metric => {
+      totals[metric] = rows.reduce((sum, row) => sum + (parseFloat(row[metric]) || 0), 0);
+    });
+
+    const averages = {};
+    RATE_METRICS.forEach(metric => {
+      const sum = rows.reduce((acc, row) => acc + (parseFloat(row[metric]) || 0), 0);
+      averages[metric] = rows.length > 0 ? round2(sum / rows.length) : 0;
+    });
+
+    return { districts: rows.length, totals, averages };
+  }
+
+  /**
+   * All-India statistics for a financial year. Upstream figures are cumulative, so
+   * each district contributes one row: its row for the given month, or else its own
+   * latest row. monthsReported says how many districts each month's figures cover.
+   */
+  async calculateNationalStatistics(finYear, month = null) {
+    try {
+      const query = {
+        finYear,
+        attributes: [...new Set([...TOTAL_METRICS, ...RATE_METRICS, ...COMPARISON_METRICS])],
+        include: [
+          {
+            model: District,
+            as: 'district',
+            attributes: ['stateCode'],
+            include: [
+              {
+                model: State,
+                as: 'state',
+                attributes: ['stateName']
+              }
+            ]
+          }
+        ]
+      };
+      const rows = month
+        ? await this.findDistrictRowsForMonth({ ...query, month })
+        : await this.findLatestDistrictRows(query);
+
+      if (rows.length === 0) return null;
+
+      // Benchmarks a district can be placed against
+      const benchmarks = {};
+      COMPARISON_METRICS.forEach(metric => {
+        const values = rows.map(row => parseFloat(row[metric]) || 0).sort((a, b) => a - b);
+        benchmarks[metric] = {
+          average: round2(values.reduce((a, b) => a + b, 0) / values.length),
+          median: round2(percentile(values, 0.5)),
+          p25: round2(percentile(values, 0.25)),
+          p75: round2(percentile(values, 0.75))
+        };
+      });
+
+      const rowsByState = new Map();
+      rows.forEach(row => {
+        const stateCode = row.district.stateCode;
+        if (!rowsByState.has(stateCode)) {
+          rowsByState.set(stateCode, { stateName: row.district.state?.stateName, rows: [] });
+        }
+        rowsByState.get(stateCode).rows.push(row);
+      });
+
+      const byState = Array.from(rowsByState.entries())
+        .map(([stateCode, { stateName, rows: stateRows }]) => ({
+          stateCode,
+          stateName,
+          ...this.aggregatePerformances(stateRows)
+        }))
+        .sort((a, b) => (a.stateName || '').localeCompare(b.stateName || ''));
+
+      const monthsReported = this.countRowsByMonth(rows);
+
+      return {
+        finYear,
+        month: monthsReported[0].month,
+        monthsReported,
+        states: byState.length,
+        ...this.aggregatePerformances(rows),
+        benchmarks,
+        byState
+      };
+    } catch (error) {
+      logger.error('Error calculating national statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate comparison between districts. Ranks are tie-aware (tied districts share a rank)
+   * and winners lists every district ranked first on each metric.
    */
   generateComparison(districts) {
     const comparison = {
       districts: [],
+      districtCodes: [],
       metrics: {
         averageDaysEmployment: [],
         averageWageRate: [],
@@ -493,23 +1404,31 @@ class DataProcessingService {
     };
 
     districts.forEach(districtPerf => {
-      const districtName = districtPerf.district?.districtName || 'Unknown';
-      comparison.districts.push(districtName);
-      comparison.metrics.averageDaysEmployment.push(districtPerf.averageDaysEmployment);
-      comparison.metrics.averageWageRate.push(districtPerf.averageWageRate);
-      comparison.metrics.totalHouseholdsWorked.push(districtPerf.totalHouseholdsWorked);
-      comparison.metrics.womenPersondays.push(districtPerf.womenPersondays);
-      comparison.metrics.paymentWithin15Days.push(districtPerf.paymentWithin15Days);
-      comparison.metrics.completedWorks.push(districtPerf.completedWorks);
-      comparison.metrics.performanceScores.push(this.calculatePerformanceScore(districtPerf));
-    });
-
-    // Add rankings
+      comparison.districts.push(districtPerf.district?.districtName || 'Unknown');
+      comparison.districtCodes.push(districtPerf.districtCode);
+      Object.keys(comparison.metrics).forEach(metric => {
+        comparison.metrics[metric].push(metric === 'performanceScores'
+          ? this.getPerformanceScore(districtPerf)
+          : parseFloat(districtPerf[metric]) || 0);
+      });
+    });
+
     comparison.rankings = {};
+    comparison.winners = {};
     Object.keys(comparison.metrics).forEach(metric => {
       const values = comparison.metrics[metric];
-      const sorted = [...values].sort((a, b) => b - a);
-      comparison.rankings[metric] = values.map(v => sorted.indexOf(v) + 1);
+      comparison.rankings[metric] = values.map(value => rankAmong(values, value).rank);
+
+      const leaders = values
+        .map((value, i) => ({ value, i }))
+        .filter(({ i }) => comparison.rankings[metric][i] === 1);
+      comparison.winners[metric] = leaders.length > 0
+        ? {
+          value: leaders[0].value,
+          districts: leaders.map(({ i }) => comparison.districts[i]),
+          districtCodes: leaders.map(({ i }) => comparison.districtCodes[i])
+        }
+        : null;
     });
 
     return comparison;
@@ -0,0 +1,279 @@
+jest.mock('../config/redis', () => ({}));
+
+const { DistrictPerformance } = require('../models/index');
+const dataProcessingService = require('./dataProcessingService');
+const { Op } = require('sequelize');
+
+const record = (month, values) => ({
+  month,
+  totalHouseholdsWorked: 0,
+  persondays: 0,
+  totalExpenditure: 0,
+  completedWorks: 0,
+  ...values
+});
+
+describe('computeIncrements', () => {
+  it('orders records by fiscal month and takes April as the first increment', () => {
+    const result = dataProcessingService.computeIncrements([
+      record('May', { totalHouseholdsWorked: 250, persondays: 5000 }),
+      record('April', { totalHouseholdsWorked: 100, persondays: 2000 })
+    ]);
+
+    expect(result.map(({ record: r }) => r.month)).toEqual(['April', 'May']);
+    expect(result[0].increments).toMatchObject({ incrementMonths: 1, householdsWorkedIncrement: 100, persondaysIncrement: 2000 });
+    expect(result[1].increments).toMatchObject({ incrementMonths: 1, householdsWorkedIncrement: 150, persondaysIncrement: 3000 });
+  });
+
+  it('spans missing months from the last available month', () => {
+    const result = dataProcessingService.computeIncrements([
+      record('APRIL', { completedWorks: 10 }),
+      record('JULY', { completedWorks: 70 }),
+      record('Aug', { completedWorks: 75 })
+    ]);
+
+    expect(result.map(({ increments }) => increments.incrementMonths)).toEqual([1, 3, 1]);
+    expect(result.map(({ increments }) => increments.completedWorksIncrement)).toEqual([10, 60, 5]);
+  });
+
+  it('counts from the start of the year when the first months are missing', () => {
+    const [{ increments }] = dataProcessingService.computeIncrements([
+      record('June', { totalExpenditure: '1234.56' })
+    ]);
+
+    expect(increments).toMatchObject({ incrementMonths: 3, expenditureIncrement: 1235 });
+  });
+
+  it('keeps a cumulative decrease as a negative increment', () => {
+    const result = dataProcessingService.computeIncrements([
+      record('October', { totalHouseholdsWorked: 900 }),
+      record('November', { totalHouseholdsWorked: 850 })
+    ]);
+
+    expect(result[1].increments.householdsWorkedIncrement).toBe(-50);
+  });
+
+  it('skips records whose month cannot be placed in the financial year', () => {
+    const result = dataProcessingService.computeIncrements([
+      record('April', { persondays: 10 }),
+      record('', { persondays: 999 }),
+      record('Unknown', { persondays: 999 }),
+      record('May', { persondays: 30 })
+    ]);
+
+    expect(result.map(({ increments }) => increments.persondaysIncrement)).toEqual([10, 20]);
+  });
+});
+
+describe('rankValue', () => {
+  const values = [10, 20, 20, 30];
+
+  it('ranks higher values first and counts every value', () => {
+    expect(dataProcessingService.rankValue(values, 30)).toEqual({ rank: 1, of: 4, percentile: 100 });
+    expect(dataProcessingService.rankValue(values, 10)).toEqual({ rank: 4, of: 4, percentile: 0 });
+  });
+
+  it('gives tied values the same rank and counts ties as half in the percentile', () => {
+    expect(dataProcessingService.rankValue(values, 20)).toEqual({ rank: 2, of: 4, percentile: 50 });
+    expect(dataProcessingService.rankValue([5, 5, 5], 5)).toEqual({ rank: 1, of: 3, percentile: 50 });
+  });
+
+  it('puts a lone value at the top', () => {
+    expect(dataProcessingService.rankValue([42], 42)).toEqual({ rank: 1, of: 1, percentile: 100 });
+  });
+});
+
+describe('generateComparison', () => {
+  const row = (districtCode, districtName, values) => ({
+    districtCode,
+    district: { districtName },
+    performanceScore: 60,
+    performanceGrade: 'B',
+    scoreVersion: dataProcessingService.getScoringVersion(),
+    ...values
+  });
+
+  const comparison = dataProcessingService.generateComparison([
+    row('101', 'PATNA', { averageDaysEmployment: 45, averageWageRate: 250, performanceScore: 72 }),
+    row('102', 'GAYA', { averageDaysEmployment: 45, averageWageRate: 240, performanceScore: 65 }),
+    row('103', 'NALANDA', { averageDaysEmployment: 30, averageWageRate: 250, performanceScore: 72 })
+  ]);
+
+  it('lists districts and metric values in input order', () => {
+    expect(comparison.districts).toEqual(['PATNA', 'GAYA', 'NALANDA']);
+    expect(comparison.districtCodes).toEqual(['101', '102', '103']);
+    expect(comparison.metrics.averageDaysEmployment).toEqual([45, 45, 30]);
+    expect(comparison.metrics.performanceScores).toEqual([72, 65, 72]);
+  });
+
+  it('gives tied districts the same rank and skips the ranks they share', () => {
+    expect(comparison.rankings.averageDaysEmployment).toEqual([1, 1, 3]);
+    expect(comparison.rankings.averageWageRate).toEqual([1, 3, 1]);
+    expect(comparison.rankings.completedWorks).toEqual([1, 1, 1]);
+  });
+
+  it('names every district tied for first as a winner', () => {
+    expect(comparison.winners.averageDaysEmployment).toEqual({ value: 45, districts: ['PATNA', 'GAYA'], districtCodes: ['101', '102'] });
+    expect(comparison.winners.performanceScores).toEqual({ value: 72, districts: ['PATNA', 'NALANDA'], districtCodes: ['101', '103'] });
+  });
+
+  it('has no winners when there is nothing to compare', () => {
+    expect(dataProcessingService.generateComparison([]).winners.averageWageRate).toBeNull();
+  });
+});
+
+// Stored rows for one financial year, spelling the same month the ways upstream has
+const storedRow = (districtCode, month, values = {}) => ({
+  districtCode,
+  finYear: '2024-2025',
+  month,
+  monthIndex: dataProcessingService.getFiscalMonthIndex(month),
+  updated_at: '2025-01-01T00:00:00.000Z',
+  district: { stateCode: '10', state: { stateName: 'BIHAR' } },
+  ...values
+});
+
+// Answer findAll from the given rows, applying the finYear and monthIndex filters
+const serveRows = (rows) => jest.spyOn(DistrictPerformance, 'findAll').mockImplementation(async ({ where }) => rows.filter(row => (
+  row.finYear === where.finYear
+    && (typeof where.monthIndex !== 'number' || row.monthIndex === where.monthIndex)
+    && (!where.districtCode || row.districtCode === where.districtCode)
+)));
+
+describe('calculateMetricAverages', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('averages every district that reported the month, however the month is spelled', async () => {
+    const findAll = serveRows([
+      storedRow('101', 'August', { averageDaysEmployment: 30 }),
+      storedRow('102', 'AUGUST', { averageDaysEmployment: 40 }),
+      storedRow('103', 'Aug', { averageDaysEmployment: 50 }),
+      storedRow('104', 'July', { averageDaysEmployment: 90 })
+    ]);
+
+    const averages = await dataProcessingService.calculateMetricAverages({ finYear: '2024-2025', month: 'AUGUST' });
+
+    expect(findAll.mock.calls[0][0].where).toEqual({ finYear: '2024-2025', monthIndex: 5 });
+    expect(averages.districtCount).toBe(3);
+    expect(averages.averageDaysEmployment).toBe(40);
+  });
+
+  it('counts a district stored under two spellings of the month once, using the later row', async () => {
+    serveRows([
+      storedRow('101', 'August', { averageWageRate: 200, updated_at: '2025-01-01T00:00:00.000Z' }),
+      storedRow('101', 'AUGUST', { averageWageRate: 260, updated_at: '2025-02-01T00:00:00.000Z' }),
+      storedRow('102', 'Aug', { averageWageRate: 240 })
+    ]);
+
+    const averages = await dataProcessingService.calculateMetricAverages({ finYear: '2024-2025', month: 'Aug' });
+
+    expect(averages.districtCount).toBe(2);
+    expect(averages.averageWageRate).toBe(250);
+  });
+
+  it('filters by state through the district', async () => {
+    const findAll = serveRows([storedRow('101', 'May')]);
+
+    await dataProcessingService.calculateMetricAverages({ finYear: '2024-2025', month: 'May', stateCode: '10' });
+
+    expect(findAll.mock.calls[0][0].include[0]).toMatchObject({ as: 'district', where: { stateCode: '10' } });
+  });
+
+  it('returns zeros for a month that cannot be placed in the year', async () => {
+    const findAll = serveRows([storedRow('101', 'May')]);
+
+    const averages = await dataProcessingService.calculateMetricAverages({ finYear: '2024-2025', month: 'Someday' });
+
+    expect(findAll).not.toHaveBeenCalled();
+    expect(averages).toMatchObject({ districtCount: 0, averageDaysEmployment: 0 });
+  });
+});
+
+describe('calculateNationalStatistics', () => {
+  const tamilNadu = { stateCode: '33', state: { stateName: 'TAMIL NADU' } };
+  const rows = [
+    storedRow('101', 'August', { totalHouseholdsWorked: 100 }),
+    storedRow('101', 'SEPTEMBER', { totalHouseholdsWorked: 150 }),
+    storedRow('102', 'AUG', { totalHouseholdsWorked: 80 }),
+    storedRow('103', 'Sep', { totalHouseholdsWorked: 300, district: tamilNadu }),
+    storedRow('104', 'August', { totalHouseholdsWorked: 500, finYear: '2023-2024' })
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('aggregates each district once at its own latest month by default', async () => {
+    const findAll = serveRows(rows);
+
+    const statistics = await dataProcessingService.calculateNationalStatistics('2024-2025');
+
+    expect(findAll.mock.calls[0][0].where).toEqual({ finYear: '2024-2025', monthIndex: { [Op.ne]: null } });
+    expect(statistics.districts).toBe(3);
+    expect(statistics.totals.totalHouseholdsWorked).toBe(530);
+    expect(statistics.month).toBe('SEPTEMBER');
+    expect(statistics.monthsReported).toEqual([{ month: 'SEPTEMBER', districts: 2 }, { month: 'AUGUST', districts: 1 }]);
+    expect(statistics.byState.map(({ stateName, districts, totals }) => [stateName, districts, totals.totalHouseholdsWorked]))
+      .toEqual([['BIHAR', 2, 230], ['TAMIL NADU', 1, 300]]);
+  });
+
+  it('takes every spelling of a requested month', async () => {
+    const findAll = serveRows(rows);
+
+    const statistics = await dataProcessingService.calculateNationalStatistics('2024-2025', 'AUGUST');
+
+    expect(findAll.mock.calls[0][0].where).toEqual({ finYear: '2024-2025', monthIndex: 5 });
+    expect(statistics.districts).toBe(2);
+    expect(statistics.totals.totalHouseholdsWorked).toBe(180);
+    expect(statistics.monthsReported).toEqual([{ month: 'AUGUST', districts: 2 }]);
+  });
+
+  it('returns null when no district has data', async () => {
+    serveRows(rows);
+    expect(await dataProcessingService.calculateNationalStatistics('2024-2025', 'MARCH')).toBeNull();
+  });
+});
+
+describe('calculateDistrictRankings', () => {
+  const tamilNadu = { stateCode: '33', state: { stateName: 'TAMIL NADU' } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks against every district that reported the month, however the month is spelled', async () => {
+    const findAll = serveRows([
+      storedRow('101', 'October', { averageDaysEmployment: 40 }),
+      storedRow('102', 'OCTOBER', { averageDaysEmployment: 50 }),
+      storedRow('103', 'Oct', { averageDaysEmployment: 30 }),
+      storedRow('104', 'OCT', { averageDaysEmployment: 60, district: tamilNadu }),
+      storedRow('105', 'September', { averageDaysEmployment: 90 })
+    ]);
+
+    const rankings = await dataProcessingService.calculateDistrictRankings('101', '2024-2025', 'OCTOBER');
+
+    expect(findAll.mock.calls[0][0].where).toEqual({ finYear: '2024-2025', monthIndex: 7 });
+    expect(rankings).toMatchObject({ stateCode: '10', districtsInState: 3, districtsNationally: 4 });
+    expect(rankings.metrics.averageDaysEmployment).toMatchObject({ value: 40, state: { rank: 2, of: 3 }, national: { rank: 3, of: 4 } });
+  });
+
+  it('ranks a district stored under two spellings of the month once, on its later row', async () => {
+    serveRows([
+      storedRow('101', 'October', { averageDaysEmployment: 20, updated_at: '2025-01-01T00:00:00.000Z' }),
+      storedRow('101', 'OCTOBER', { averageDaysEmployment: 55, updated_at: '2025-02-01T00:00:00.000Z' }),
+      storedRow('102', 'Oct', { averageDaysEmployment: 50 })
+    ]);
+
+    const rankings = await dataProcessingService.calculateDistrictRankings('101', '2024-2025', 'Oct');
+
+    expect(rankings.districtsNationally).toBe(2);
+    expect(rankings.metrics.averageDaysEmployment).toMatchObject({ value: 55, national: { rank: 1, of: 2 } });
+  });
+
+  it('returns null when the district has no row for the month', async () => {
+    serveRows([storedRow('102', 'October')]);
+    expect(await dataProcessingService.calculateDistrictRankings('101', '2024-2025', 'OCTOBER')).toBeNull();
+  });
+});
@@ -0,0 +1,175 @@
+const catalogs = {
+  en: require('../locales/en.json'),
+  hi: require('../locales/hi.json'),
+  bn: require('../locales/bn.json'),
+  mr: require('../locales/mr.json'),
+  ta: require('../locales/ta.json'),
+  te: require('../locales/te.json')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Response fields holding English text that the catalogs translate
+const MESSAGE_FIELDS = ['message', 'msg', 'suggestion', 'note'];
+const LABEL_FIELDS = ['label', 'gradeLabel'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile "District '{0}' not found" into a matcher that captures the placeholders
+ */
+const compileMessage = (source, template) => ({
+  pattern: new RegExp(`^${escapeRegExp(source).replace(/\\\{(\d+)\\\}/g, '(.+?)')}$`),
+  placeholders: (source.match(/\{\d+\}/g) || []).map(token => parseInt(token.slice(1, -1))),
+  template,
+  length: source.length
+});
+
+/**
+ * Translates API responses into Hindi and regional languages using the catalogs in
+ * src/locales. Labels are looked up by their English text and messages by template,
+ * so services and controllers keep producing English and the locale middleware
+ * translates on the way out. Anything without a translation stays in English.
+ */
+class I18nService {
+  constructor() {
+    this.defaultLanguage = DEFAULT_LANGUAGE;
+    this.supportedLanguages = Object.keys(catalogs);
+
+    // Longest templates first, so "not found in state '{1}'" wins over "not found in {1}"
+    this.messages = new Map(Object.entries(catalogs).map(([lang, catalog]) => [
+      lang,
+      Object.entries(catalog.messages)
+        .map(([source, template]) => compileMessage(source, template))
+        .sort((a, b) => b.length - a.length)
+    ]));
+  }
+
+  isSupported(lang) {
+    return this.supportedLanguages.includes(lang);
+  }
+
+  listLanguages() {
+    return this.supportedLanguages.map(lang => ({ ...catalogs[lang].language, default: lang === DEFAULT_LANGUAGE }));
+  }
+
+  getCatalog(lang) {
+    return this.isSupported(lang) ? catalogs[lang] : null;
+  }
+
+  /**
+   * Response language from the lang parameter, else the Accept-Language header, else English.
+   * Region subtags are ignored ("hi-IN" is Hindi).
+   */
+  negotiate(langParam, acceptLanguage) {
+    const primary = (tag) => (tag || '').trim().toLowerCase().split('-')[0];
+
+    if (typeof langParam === 'string' && this.isSupported(primary(langParam))) {
+      return primary(langParam);
+    }
+
+    const preferred = (acceptLanguage || '')
+      .split(',')
+      .map((part, position) => {
+        const [tag, ...params] = part.split(';');
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        return { lang: primary(tag), q: q ? parseFloat(q.slice(2)) || 0 : 1, position };
+      })
+      .filter(({ lang, q }) => q > 0 && this.isSupported(lang))
+      .sort((a, b) => (b.q - a.q) || (a.position - b.position));
+
+    return preferred.length > 0 ? preferred[0].lang : DEFAULT_LANGUAGE;
+  }
+
+  translateLabel(text, lang) {
+    return catalogs[lang]?.labels[text] || text;
+  }
+
+  /**
+   * Translate a message sentence by sentence, so a "did you mean" hint is translated
+   * separately from the not-found message it follows
+   */
+  translateMessage(message, lang) {
+    const templates = this.messages.get(lang);
+    if (!templates || templates.length === 0) return message;
+
+    return message
+      .split(/(?<=[.?!])\s+(?=[A-Z])/)
+      .map(sentence => {
+        const [, text, punctuation] = sentence.match(/^(.*?)([.?!]?)$/s);
+        const found = templates.find(({ pattern }) => pattern.test(text));
+        if (!found) return sentence;
+
+        const values = text.match(found.pattern).slice(1);
+        const translated = found.placeholders.reduce(
+          (result, placeholder, i) => result.split(`{${placeholder}}`).join(values[i]),
+          found.template
+        );
+        return `${translated}${punctuation}`;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Name of a place in a language from its stored local names, or null
+   */
+  pickLocalName(localNames, lang) {
+    const names = typeof localNames === 'string' ? JSON.parse(localNames) : localNames;
+    return (names && names[lang]) || null;
+  }
+
+  /**
+   * Translate a response body: messages, labels and metric names, plus the local name
+   * next to every state and district name when the name index is given. Safe to apply
+   * twice, since translated text no longer matches any English entry.
+   */
+  localize(payload, lang, index = null) {
+    if (lang === DEFAULT_LANGUAGE || !this.isSupported(lang) || payload === null || typeof payload !== 'object') {
+      return payload;
+    }
+
+    const localName = (type, code) => (index && code ? this.pickLocalName(index.localNames[type].get(code), lang) : null);
+
+    // A nested { state: { stateName } } takes its code from the enclosing district
+    const visit = (value, inheritedStateCode = null) => {
+      if (Array.isArray(value)) return value.map(item => visit(item, inheritedStateCode));
+      if (value === null || typeof value !== 'object') return value;
+
+      const stateCode = value.stateCode || inheritedStateCode;
+      const result = {};
+      Object.entries(value).forEach(([key, field]) => {
+        if (typeof field === 'string' && MESSAGE_FIELDS.includes(key)) {
+          result[key] = this.translateMessage(field, lang);
+        } else if (typeof field === 'string' && LABEL_FIELDS.includes(key)) {
+          result[key] = this.translateLabel(field, lang);
+        } else {
+          result[key] = visit(field, stateCode);
+        }
+      });
+
+      if (typeof value.metric === 'string' && catalogs[lang].metrics[value.metric] && !value.metricName) {
+        result.metricName = catalogs[lang].metrics[value.metric];
+      }
+      if (typeof value.districtName === 'string' && !value.districtNameLocal) {
+        const name = localName('districts', value.districtCode);
+        if (name) result.districtNameLocal = name;
+      }
+      if (typeof value.stateName === 'string' && !value.stateNameLocal) {
+        const name = localName('states', stateCode);
+        if (name) result.stateNameLocal = name;
+      }
+      // Units in comparisons and search results: { type, code, name }
+      if (typeof value.name === 'string' && ['state', 'district'].includes(value.type) && !value.nameLocal) {
+        const name = localName(`${value.type}s`, value.code);
+        if (name) result.nameLocal = name;
+      }
+
+      return result;
+    };
+
+    // Serialise first so model instances and dates are walked as the client will see them
+    return visit(JSON.parse(JSON.stringify(payload)));
+  }
+}
+
+module.exports = new I18nService();
@@ -0,0 +1,113 @@
+const i18nService = require('./i18nService');
+
+describe('negotiate', () => {
+  it('prefers the lang parameter and ignores region subtags', () => {
+    expect(i18nService.negotiate('hi-IN', 'ta')).toBe('hi');
+    expect(i18nService.negotiate('TE', null)).toBe('te');
+  });
+
+  it('falls back to Accept-Language by quality, then by order', () => {
+    expect(i18nService.negotiate(undefined, 'fr, ta;q=0.5, hi;q=0.4')).toBe('ta');
+    expect(i18nService.negotiate(undefined, 'mr, bn')).toBe('mr');
+    expect(i18nService.negotiate('xx', 'bn-IN;q=0.9, en;q=0.8')).toBe('bn');
+  });
+
+  it('defaults to English for unsupported or refused languages', () => {
+    expect(i18nService.negotiate(undefined, undefined)).toBe('en');
+    expect(i18nService.negotiate('fr', 'de')).toBe('en');
+    expect(i18nService.negotiate(undefined, 'hi;q=0')).toBe('en');
+    expect(i18nService.negotiate(['hi'], null)).toBe('en');
+  });
+});
+
+describe('translateMessage', () => {
+  it('fills placeholders from the English message', () => {
+    expect(i18nService.translateMessage("State 'Xyz' not found", 'hi')).toBe("राज्य 'Xyz' नहीं मिला");
+    expect(i18nService.translateMessage('Limit must be between 1 and 50', 'te')).toBe('పరిమితి 1 నుండి 50 మధ్య ఉండాలి');
+  });
+
+  it('prefers the longest matching template', () => {
+    expect(i18nService.translateMessage("District 'Q' not found in state 'BIHAR'", 'hi')).toBe("राज्य 'BIHAR' में जिला 'Q' नहीं मिला");
+  });
+
+  it('translates sentence by sentence and keeps the punctuation', () => {
+    expect(i18nService.translateMessage("State 'Xyz' not found. Please try again later.", 'mr'))
+      .toBe("राज्य 'Xyz' सापडले नाही. कृपया नंतर पुन्हा प्रयत्न करा.");
+  });
+
+  it('leaves unknown sentences and English untouched', () => {
+    expect(i18nService.translateMessage("State 'Xyz' not found. Something new.", 'bn')).toBe("রাজ্য 'Xyz' পাওয়া যায়নি. Something new.");
+    expect(i18nService.translateMessage("State 'Xyz' not found", 'en')).toBe("State 'Xyz' not found");
+  });
+});
+
+describe('localize', () => {
+  const index = {
+    localNames: {
+      states: new Map([['10', { hi: 'बिहार' }]]),
+      districts: new Map([['188', { hi: 'पटना' }]])
+    }
+  };
+
+  const body = {
+    success: true,
+    message: 'Invalid month',
+    data: {
+      districtCode: '188',
+      districtName: 'PATNA',
+      stateCode: '10',
+      state: { stateName: 'BIHAR' },
+      grade: { label: 'Good' },
+      metrics: [{ metric: 'persondays', value: 1000 }],
+      units: [{ type: 'district', code: '188', name: 'PATNA' }]
+    }
+  };
+
+  it('translates messages, labels and metric names and adds local place names', () => {
+    const localized = i18nService.localize(body, 'hi', index);
+
+    expect(localized.message).toBe('अमान्य महीना');
+    expect(localized.data.grade.label).toBe('अच्छा');
+    expect(localized.data.districtNameLocal).toBe('पटना');
+    expect(localized.data.state).toEqual({ stateName: 'BIHAR', stateNameLocal: 'बिहार' });
+    expect(localized.data.metrics[0]).toEqual({ metric: 'persondays', value: 1000, metricName: 'श्रम दिवस' });
+    expect(localized.data.units[0].nameLocal).toBe('पटना');
+  });
+
+  it('translates text without a name index', () => {
+    const localized = i18nService.localize(body, 'hi', null);
+
+    expect(localized.message).toBe('अमान्य महीना');
+    expect(localized.data).not.toHaveProperty('districtNameLocal');
+  });
+
+  it('returns English bodies untouched and is safe to apply twice', () => {
+    expect(i18nService.localize(body, 'en', index)).toBe(body);
+
+    const once = i18nService.localize(body, 'hi', index);
+    expect(i18nService.localize(once, 'hi', index)).toEqual(once);
+  });
+});
+
+describe('catalogs', () => {
+  const hindi = i18nService.getCatalog('hi');
+  const placeholders = (text) => text.match(/\{\d+\}/g) || [];
+
+  i18nService.supportedLanguages
+    .filter(lang => lang !== i18nService.defaultLanguage)
+    .forEach(lang => {
+      it(`${lang} covers the same labels, metrics and messages as Hindi`, () => {
+        const catalog = i18nService.getCatalog(lang);
+        ['labels', 'metrics', 'messages'].forEach(section => {
+          expect(Object.keys(catalog[section]).sort()).toEqual(Object.keys(hindi[section]).sort());
+        });
+      });
+
+      it(`${lang} only uses placeholders the English message fills`, () => {
+        Object.entries(i18nService.getCatalog(lang).messages).forEach(([source, template]) => {
+          const unfilled = placeholders(template).filter(placeholder => !placeholders(source).includes(placeholder));
+          expect({ source, unfilled }).toEqual({ source, unfilled: [] });
+        });
+      });
+    });
+});
@@ -0,0 +1,218 @@
+const { State, District } = require('../models/index');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+const lgdStates = require('../data/lgd/states.json');
+const lgdDistricts = require('../data/lgd/districts.json');
+
+/**
+ * Resolves upstream state and district names to official Local Government
+ * Directory (LGD) codes using the bundled reference table in src/data/lgd.
+ *
+ * states.json:    [{ lgdCode, name, language, localNames, aliases }]
+ * districts.json: [{ lgdCode, name, stateLgdCode, localNames, aliases }]
+ *
+ * localNames holds the name in Hindi and regional scripts keyed by language code;
+ * language is the code of the state's own script in the LGD export.
+ *
+ * districts.json is generated from the official LGD "All Districts" CSV export
+ * with `npm run lgd:import -- <file.csv>`.
+ */
+class LgdService {
+  constructor() {
+    this.statesByName = new Map();
+    this.districtsByName = new Map();
+
+    lgdStates.forEach(state => {
+      [state.name, ...(state.aliases || [])].forEach(name => {
+        this.statesByName.set(this.normalizeName(name), state);
+      });
+    });
+
+    lgdDistricts.forEach(district => {
+      [district.name, ...(district.aliases || [])].forEach(name => {
+        this.districtsByName.set(this.districtKey(district.stateLgdCode, name), district);
+      });
+    });
+  }
+
+  /**
+   * Normalise a place name for matching: uppercase, "&" as AND, no punctuation
+   */
+  normalizeName(name) {
+    return (name || '')
+      .toString()
+      .toUpperCase()
+      .replace(/&/g, ' AND ')
+      .replace(/[^A-Z0-9 ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  districtKey(stateLgdCode, districtName) {
+    return `${stateLgdCode}:${this.normalizeName(districtName)}`;
+  }
+
+  /**
+   * Returns { lgdCode, name } for a state name, or null if it cannot be resolved
+   */
+  resolveState(stateName) {
+    return this.statesByName.get(this.normalizeName(stateName)) || null;
+  }
+
+  /**
+   * Returns { lgdCode, name, stateLgdCode } for a district within a state, or null
+   */
+  resolveDistrict(districtName, stateLgdCode) {
+    if (!stateLgdCode) return null;
+    return this.districtsByName.get(this.districtKey(stateLgdCode, districtName)) || null;
+  }
+
+  hasDistricts() {
+    return lgdDistricts.length > 0;
+  }
+
+  /**
+   * Throw when the district table has not been imported, since no record could be stored
+   */
+  assertDistrictsLoaded() {
+    if (!this.hasDistricts()) {
+      throw new Error('LGD district reference table is empty. Run `npm run lgd:import -- <LGD districts CSV>` to populate it.');
+    }
+  }
+
+  /**
+   * Upsert the reference table into the states and districts tables
+   */
+  async loadIntoDatabase() {
+    await this.rekeyLegacyCodes();
+
+    await State.bulkCreate(
+      lgdStates.map(state => ({ stateCode: state.lgdCode, stateName: state.name, localNames: state.localNames || null })),
+      { updateOnDuplicate: ['stateName', 'localNames'] }
+    );
+
+    if (!this.hasDistricts()) {
+      logger.error('LGD district reference table is empty, so syncs will be refused. Run `npm run lgd:import -- <LGD districts CSV>` to populate it.');
+    } else {
+      await District.bulkCreate(
+        lgdDistricts.map(district => ({
+          districtCode: district.lgdCode,
+          districtName: district.name,
+          stateCode: district.stateLgdCode,
+          localNames: district.localNames || null
+        })),
+        { updateOnDuplicate: ['districtName', 'stateCode', 'localNames'] }
+      );
+    }
+
+    logger.info(`Loaded LGD reference data: ${lgdStates.length} states, ${lgdDistricts.length} districts`);
+  }
+
+  /**
+   * Move rows stored under the old generated codes onto their LGD codes.
+   * Re-spelled duplicates of the same district are merged into one row.
+   */
+  async rekeyLegacyCodes() {
+    const lgdStateCodes = new Set(lgdStates.map(state => state.lgdCode));
+    const lgdDistrictCodes = new Set(lgdDistricts.map(district => district.lgdCode));
+
+    const states = await State.findAll({ raw: true });
+    const districts = await District.findAll({ raw: true });
+
+    // Old state code -> LGD state code
+    const stateCodeMap = new Map();
+    states.forEach(state => {
+      const resolved = lgdStateCodes.has(state.stateCode) ? null : this.resolveState(state.stateName);
+      stateCodeMap.set(state.stateCode, resolved ? resolved.lgdCode : state.stateCode);
+    });
+
+    const stateMoves = [...stateCodeMap.entries()]
+      .filter(([from, to]) => from !== to)
+      .map(([from, to]) => ({ from, to }));
+
+    const districtMoves = [];
+    const unresolved = [];
+
+    districts
+      .filter(district => !lgdDistrictCodes.has(district.districtCode))
+      .forEach(district => {
+        const stateCode = stateCodeMap.get(district.stateCode) || district.stateCode;
+        const resolved = this.resolveDistrict(district.districtName, stateCode);
+
+        if (resolved) {
+          districtMoves.push({ from: district.districtCode, to: resolved.lgdCode, stateCode });
+        } else {
+          unresolved.push(district.districtName);
+        }
+      });
+
+    if (unresolved.length > 0) {
+      logger.warn(`${unresolved.length} stored districts have no LGD match and keep their old codes: ${unresolved.slice(0, 20).join(', ')}`);
+    }
+
+    if (stateMoves.length === 0 && districtMoves.length === 0) return;
+
+    // data_anomalies only exists once its migration has run
+    const hasAnomalies = await sequelize.getQueryInterface().tableExists('data_anomalies');
+
+    await sequelize.transaction(async (transaction) => {
+      const run = (sql, replacements) => sequelize.query(sql, { replacements, transaction });
+
+      // Codes are primary keys referenced by other tables, so move parent and children together
+      await run('SET FOREIGN_KEY_CHECKS = 0');
+
+      try {
+        const stateCodes = new Set(states.map(state => state.stateCode));
+        for (const { from, to } of stateMoves) {
+          await run('UPDATE districts SET state_code = :to WHERE state_code = :from', { from, to });
+
+          if (stateCodes.has(to)) {
+            await run('DELETE FROM states WHERE state_code = :from', { from });
+          } else {
+            await run('UPDATE states SET state_code = :to WHERE state_code = :from', { from, to });
+            stateCodes.add(to);
+          }
+        }
+
+        const districtCodes = new Set(districts.map(district => district.districtCode));
+        for (const { from, to, stateCode } of districtMoves) {
+          // Rows already present under the target code win over the duplicate spelling
+          await run('UPDATE IGNORE district_performance SET district_code = :to WHERE district_code = :from', { from, to });
+          if (hasAnomalies) {
+            await run(
+              `UPDATE data_anomalies da
+               JOIN district_performance dp ON dp.id = da.performance_id
+               SET da.district_code = dp.district_code
+               WHERE da.district_code = :from`,
+              { from }
+            );
+            await run('DELETE FROM data_anomalies WHERE district_code = :from', { from });
+          }
+          await run(
+            `DELETE em FROM district_extended_metrics em
+             JOIN district_performance dp ON dp.id = em.performance_id
+             WHERE dp.district_code = :from`,
+            { from }
+          );
+          await run('DELETE FROM district_performance WHERE district_code = :from', { from });
+
+          if (districtCodes.has(to)) {
+            await run('DELETE FROM districts WHERE district_code = :from', { from });
+          } else {
+            await run(
+              'UPDATE districts SET district_code = :to, state_code = :stateCode WHERE district_code = :from',
+              { from, to, stateCode }
+            );
+            districtCodes.add(to);
+          }
+        }
+      } finally {
+        await run('SET FOREIGN_KEY_CHECKS = 1');
+      }
+    });
+
+    logger.info(`Re-keyed ${stateMoves.length} states and ${districtMoves.length} districts to LGD codes`);
+  }
+}
+
+module.exports = new LgdService();
@@ -6,6 +6,8 @@ class MGNREGAApiService {
   constructor() {
     this.baseURL = process.env.MGNREGA_API_URL || 'https://api.data.gov.in/resource/ee03643a-ee4c-48c2-ac30-9f2ff26ab722';
     this.apiKey = process.env.MGNREGA_API_KEY || '579b464db66ec23bdd000001cdd3946e44ce4aad7209ff7b23ac571b';
+    this.pageSize = parseInt(process.env.MGNREGA_API_PAGE_SIZE) || 100;
+    this.maxPages = parseInt(process.env.MGNREGA_API_MAX_PAGES) || 500;
     this.axiosInstance = axios.create({
       baseURL: this.baseURL,
       timeout: 30000,
@@ -16,6 +18,15 @@ class MGNREGAApiService {
   }
 
   async fetchDistrictData({ stateName, finYear, districtName = null }) {
+    const { records } = await this.fetchDistrictDataWithMeta({ stateName, finYear, districtName });
+    return records;
+  }
+
+  /**
+   * Same as fetchDistrictData, but also returns paging and response size details
+   * Returns { records, total, recordsFetched, pagesFetched, responseBytes, complete, fromCache }
+   */
+  async fetchDistrictDataWithMeta({ stateName, finYear, districtName = null }) {
     try {
       const cacheKey = `mgnrega:${stateName}:${finYear}:${districtName || 'all'}`;
       
@@ -23,39 +34,156 @@ class MGNREGAApiService {
       const cachedData = await cacheService.get(cacheKey);
       if (cachedData) {
         logger.info(`Cache hit for ${cacheKey}`);
-        return cachedData;
+        return {
+          records: cachedData,
+          total: cachedData.length,
+          recordsFetched: cachedData.length,
+          pagesFetched: 0,
+          responseBytes: 0,
+          complete: true,
+          fromCache: true
+        };
       }
 
-      const params = {
-        'api-key': this.apiKey,
-        'format': 'json',
-        'limit': '100',
-        'filters[state_name]': stateName.toUpperCase(),
-        'filters[fin_year]': finYear
-      };
-
-      if (districtName) {
-        params['filters[district_name]'] = districtName.toUpperCase();
-      }
+      const result = await this.fetchAllDistrictData({ stateName, finYear, districtName });
 
-      const response = await this.axiosInstance.get('', { params });
-      
-      if (response.data && response.data.records) {
-        const records = response.data.records;
-        
-        // Cache for 1 hour
-        await cacheService.set(cacheKey, records, 3600);
-        
-        return records;
+      // Only cache complete datasets so a partial pull is retried next time
+      if (result.complete && result.records.length > 0) {
+        await cacheService.set(cacheKey, result.records, 3600); // Cache for 1 hour
       }
 
-      return [];
+      return { ...result, fromCache: false };
     } catch (error) {
       logger.error('MGNREGA API Error:', error.message);
       throw new Error('Failed to fetch data from MGNREGA API');
     }
   }
 
+  /**
+   * Fetch every page for a state/year and stitch them into one result.
+   * Returns { records, total, recordsFetched, pagesFetched, complete }
+   */
+  async fetchAllDistrictData({ stateName, finYear, districtName = null }) {
+    const records = [];
+
+    const summary = await this.streamDistrictData({
+      stateName,
+      finYear,
+      districtName,
+      onPage: (pageRecords) => {
+        records.push(...pageRecords);
+      }
+    });
+
+    return { records, ...summary };
+  }
+
+  /**
+   * Page through the resource using total/count/offset and hand each page to
+   * onPage(records, pageInfo) as it arrives, without holding the full dataset.
+   */
+  async streamDistrictData({ stateName, finYear, districtName = null, onPage }) {
+    let offset = 0;
+    let total = null;
+    let pagesFetched = 0;
+    let recordsFetched = 0;
+    let responseBytes = 0;
+    let truncated = false;
+
+    while (!truncated) {
+      const page = await this.fetchPage({ stateName, finYear, districtName, offset });
+
+      if (total === null && page.total !== null) {
+        total = page.total;
+      }
+
+      if (page.records.length === 0) break;
+
+      pagesFetched++;
+      recordsFetched += page.records.length;
+      responseBytes += page.responseBytes;
+
+      await onPage(page.records, {
+        pageNumber: pagesFetched,
+        offset: page.offset,
+        count: page.count,
+        responseBytes: page.responseBytes,
+        total
+      });
+
+      offset = page.offset + page.records.length;
+
+      // Without a total, a short page means we have reached the end
+      if (total !== null ? offset >= total : page.records.length < this.pageSize) break;
+
+      // More pages remain but the cap is reached
+      truncated = pagesFetched >= this.maxPages;
+    }
+
+    if (truncated) {
+      logger.warn(`Stopped paging ${stateName} ${finYear} after ${this.maxPages} pages`);
+    }
+
+    const complete = !truncated && (total === null || recordsFetched >= total);
+    if (!complete) {
+      logger.warn(`Incomplete fetch for ${stateName} ${finYear}: ${this.describeIncomplete({ recordsFetched, total, truncated })}`);
+    }
+
+    logger.info(`Fetched ${recordsFetched} records in ${pagesFetched} pages for ${stateName} ${finYear}`);
+
+    return {
+      total: total !== null ? total : recordsFetched,
+      recordsFetched,
+      pagesFetched,
+      responseBytes,
+      complete,
+      truncated
+    };
+  }
+
+  /**
+   * Why a fetch is incomplete, for logs and sync run errors
+   */
+  describeIncomplete({ recordsFetched, total, truncated }) {
+    return truncated
+      ? `stopped after ${this.maxPages} pages, ${recordsFetched}${total > recordsFetched ? ` of ${total}` : ''} records fetched`
+      : `got ${recordsFetched} of ${total} records`;
+  }
+
+  /**
+   * Fetch a single page of the resource
+   */
+  async fetchPage({ stateName, finYear, districtName = null, offset = 0 }) {
+    const params = {
+      'api-key': this.apiKey,
+      'format': 'json',
+      'limit': String(this.pageSize),
+      'offset': String(offset),
+      'filters[state_name]': stateName.toUpperCase(),
+      'filters[fin_year]': finYear
+    };
+
+    if (districtName) {
+      params['filters[district_name]'] = districtName.toUpperCase();
+    }
+
+    const response = await this.axiosInstance.get('', { params });
+    const data = response.data || {};
+    const records = Array.isArray(data.records) ? data.records : [];
+    const total = parseInt(data.total);
+    const count = parseInt(data.count);
+    const pageOffset = parseInt(data.offset);
+    const contentLength = parseInt(response.headers?.['content-length']);
+
+    return {
+      records,
+      total: Number.isNaN(total) ? null : total,
+      count: Number.isNaN(count) ? records.length : count,
+      offset: Number.isNaN(pageOffset) ? offset : pageOffset,
+      responseBytes: Number.isNaN(contentLength) ? Buffer.byteLength(JSON.stringify(data)) : contentLength
+    };
+  }
+
   async fetchStatesList() {
     try {
       const cacheKey = 'mgnrega:states:list';
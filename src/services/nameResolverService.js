@@ -0,0 +1,250 @@
+const { State, District } = require('../models/index');
+const lgdService = require('./lgdService');
+const logger = require('../utils/logger');
+const lgdStates = require('../data/lgd/states.json');
+const lgdDistricts = require('../data/lgd/districts.json');
+const districtAliases = require('../data/lgd/districtAliases.json');
+
+// States and districts change only on sync, which clears the cache; this bounds staleness across instances
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const MAX_SUGGESTIONS = 5;
+
+// Shortest input offered as a prefix of longer names ("Bengaluru" for "Bengaluru Rural")
+const MIN_PARTIAL_LENGTH = 3;
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Resolves user-typed state and district names to stored records. Tries, in order:
+ * the exact name, an alias or former name (src/data/lgd/districtAliases.json and the
+ * LGD aliases), a transliteration-tolerant spelling ("Kancheepuram" = "Kanchipuram"),
+ * then edit distance. Input that matches several places returns suggestions instead.
+ */
+class NameResolverService {
+  constructor() {
+    this.index = null;
+    this.loadedAt = 0;
+    this.loading = null;
+    this.generation = 0;
+  }
+
+  /**
+   * Spelling key that folds common romanisation differences of Indian place names:
+   * aspirated consonants, long vowels, doubled letters, v/w and a final short "a"
+   */
+  transliterationKey(name) {
+    return lgdService.normalizeName(name)
+      .replace(/\bDISTRICT\b/g, ' ')
+      .replace(/EE/g, 'I')
+      .replace(/OO/g, 'U')
+      .replace(/W/g, 'V')
+      .replace(/Z/g, 'J')
+      .replace(/Q/g, 'K')
+      .replace(/PH/g, 'F')
+      .replace(/([KGCJTDPBS])H/g, '$1')
+      .replace(/Y/g, 'I')
+      .replace(/(.)\1+/g, '$1')
+      .replace(/A\b/g, '')
+      .replace(/\s+/g, '');
+  }
+
+  /**
+   * Alternative names for a place: the LGD aliases plus any alias-table group it belongs to
+   */
+  alternativeNames(name, stateCode) {
+    const normalized = lgdService.normalizeName(name);
+    const names = [];
+
+    const lgdDistrict = lgdDistricts.find(d => d.stateLgdCode === stateCode && lgdService.normalizeName(d.name) === normalized);
+    if (lgdDistrict) {
+      (lgdDistrict.aliases || []).forEach(alias => names.push({ name: alias, matchType: 'alias' }));
+    }
+
+    // Upstream spellings vary, so a district joins an alias group on its transliteration key
+    const spelling = this.transliterationKey(name);
+    districtAliases
+      .filter(group => group.stateLgdCode === stateCode)
+      .filter(group => [group.name, ...group.formerNames, ...group.aliases].some(n => this.transliterationKey(n) === spelling))
+      .forEach(group => {
+        [group.name, ...group.formerNames].forEach(n => names.push({ name: n, matchType: 'renamed' }));
+        group.aliases.forEach(n => names.push({ name: n, matchType: 'alias' }));
+      });
+
+    return names.filter(({ name: n }) => lgdService.normalizeName(n) !== normalized);
+  }
+
+  buildEntry(place, name, alternatives) {
+    return {
+      place,
+      names: [
+        { key: lgdService.normalizeName(name), matchType: 'exact' },
+        ...alternatives.map(alt => ({ key: lgdService.normalizeName(alt.name), matchType: alt.matchType }))
+      ],
+      spellings: [...new Set([name, ...alternatives.map(alt => alt.name)].map(n => this.transliterationKey(n)))]
+    };
+  }
+
+  async buildIndex() {
+    const [states, districts] = await Promise.all([
+      State.findAll({ attributes: ['stateCode', 'stateName', 'localNames'], raw: true }),
+      District.findAll({ attributes: ['districtCode', 'districtName', 'stateCode', 'localNames'], raw: true })
+    ]);
+
+    const stateNames = new Map(states.map(state => [state.stateCode, state.stateName]));
+    const parseLocalNames = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || {};
+
+    return {
+      // Names in Hindi and regional scripts by code, kept apart so they never appear in place objects
+      localNames: {
+        states: new Map(states.map(state => [state.stateCode, parseLocalNames(state.localNames)])),
+        districts: new Map(districts.map(district => [district.districtCode, parseLocalNames(district.localNames)]))
+      },
+      states: states.map(({ localNames, ...state }) => {
+        const lgdState = lgdStates.find(s => s.lgdCode === state.stateCode);
+        const alternatives = (lgdState ? [lgdState.name, ...(lgdState.aliases || [])] : [])
+          .filter(n => lgdService.normalizeName(n) !== lgdService.normalizeName(state.stateName))
+          .map(n => ({ name: n, matchType: 'alias' }));
+        return this.buildEntry({ stateCode: state.stateCode, stateName: state.stateName }, state.stateName, alternatives);
+      }),
+      districts: districts.map(({ localNames, ...district }) => this.buildEntry(
+        { ...district, stateName: stateNames.get(district.stateCode) || null },
+        district.districtName,
+        this.alternativeNames(district.districtName, district.stateCode)
+      ))
+    };
+  }
+
+  async getIndex() {
+    if (this.index && Date.now() - this.loadedAt < CACHE_TTL_MS) return this.index;
+
+    if (!this.loading) {
+      const generation = this.generation;
+      const loading = this.buildIndex()
+        .then(index => {
+          // An index read before the last invalidate() would bring back stale names
+          if (generation === this.generation) {
+            this.index = index;
+            this.loadedAt = Date.now();
+          }
+          return index;
+        })
+        .finally(() => {
+          if (this.loading === loading) this.loading = null;
+        });
+      this.loading = loading;
+    }
+    return this.loading;
+  }
+
+  /**
+   * The cached index without waiting on the database, or null before the first load.
+   * A missing or expired index is reloaded in the background for later callers.
+   */
+  peekIndex() {
+    if (!this.index || Date.now() - this.loadedAt >= CACHE_TTL_MS) {
+      this.getIndex().catch(error => logger.warn(`Name index reload failed: ${error.message}`));
+    }
+    return this.index;
+  }
+
+  /**
+   * Drop the cached index so the next lookup sees newly stored states and districts
+   */
+  invalidate() {
+    this.index = null;
+    this.loading = null;
+    this.generation++;
+  }
+
+  /**
+   * Rebuild the index now rather than on the next lookup, e.g. at the end of a sync
+   */
+  async rebuild() {
+    this.invalidate();
+    return this.getIndex();
+  }
+
+  /**
+   * Match input against index entries. Returns { match, matchType, suggestions }.
+   */
+  resolve(input, entries) {
+    const normalized = lgdService.normalizeName(input);
+    const spelling = this.transliterationKey(input);
+    if (!normalized) return { match: null, matchType: null, suggestions: [] };
+
+    const unique = (found, matchType) => (found.length === 1
+      ? { match: found[0].place, matchType, suggestions: [] }
+      : { match: null, matchType: null, suggestions: found.slice(0, MAX_SUGGESTIONS).map(entry => entry.place) });
+
+    for (const matchType of ['exact', 'renamed', 'alias']) {
+      const found = entries.filter(entry => entry.names.some(n => n.matchType === matchType && n.key === normalized));
+      if (found.length > 0) return unique(found, matchType);
+    }
+
+    const sameSpelling = entries.filter(entry => entry.spellings.includes(spelling));
+    if (sameSpelling.length > 0) return unique(sameSpelling, 'transliteration');
+
+    // Allow about one edit in five characters
+    const threshold = Math.max(1, Math.floor(spelling.length / 5));
+    const scored = entries
+      .map(entry => ({
+        entry,
+        distance: Math.min(...entry.spellings.map(key => levenshtein(spelling, key))),
+        partial: spelling.length >= MIN_PARTIAL_LENGTH && entry.spellings.some(key => key.startsWith(spelling))
+      }))
+      .filter(({ distance, partial }) => distance <= threshold * 2 || partial)
+      .sort((a, b) => a.distance - b.distance);
+
+    const [best, second] = scored;
+    if (best && best.distance <= threshold && (!second || second.distance > best.distance)) {
+      return { match: best.entry.place, matchType: 'fuzzy', suggestions: [] };
+    }
+
+    return { match: null, matchType: null, suggestions: scored.slice(0, MAX_SUGGESTIONS).map(({ entry }) => entry.place) };
+  }
+
+  /**
+   * Resolve a state name. match is { stateCode, stateName } or null.
+   */
+  async resolveState(input) {
+    const { states } = await this.getIndex();
+    return this.resolve(input, states);
+  }
+
+  /**
+   * Resolve a district name, within a state when stateCode is given.
+   * match is { districtCode, districtName, stateCode, stateName } or null.
+   */
+  async resolveDistrict(input, { stateCode = null } = {}) {
+    const { districts } = await this.getIndex();
+    return this.resolve(input, stateCode ? districts.filter(entry => entry.place.stateCode === stateCode) : districts);
+  }
+
+  /**
+   * Not-found message with a "did you mean" hint for the suggestions
+   */
+  notFoundMessage(label, input, suggestions, context = '') {
+    const names = suggestions.map(place => place.districtName
+      ? `${place.districtName} (${place.stateName || place.stateCode})`
+      : place.stateName);
+    const hint = names.length > 0 ? ` Did you mean ${names.join(', ')}?` : '';
+    return `${label} '${input}' not found${context}.${hint}`;
+  }
+}
+
+module.exports = new NameResolverService();
@@ -0,0 +1,104 @@
+const { State, District } = require('../models/index');
+const nameResolverService = require('./nameResolverService');
+
+const states = [
+  { stateCode: '3', stateName: 'PUNJAB' },
+  { stateCode: '9', stateName: 'UTTAR PRADESH' },
+  { stateCode: '10', stateName: 'BIHAR' },
+  { stateCode: '21', stateName: 'ODISHA' },
+  { stateCode: '27', stateName: 'MAHARASHTRA' },
+  { stateCode: '33', stateName: 'TAMIL NADU' }
+];
+
+const districts = [
+  { districtCode: '608', districtName: 'SAHIBZADA AJIT SINGH NAGAR', stateCode: '3' },
+  { districtCode: '170', districtName: 'PRAYAGRAJ', stateCode: '9' },
+  { districtCode: '188', districtName: 'PATNA', stateCode: '10' },
+  { districtCode: '211', districtName: 'AURANGABAD', stateCode: '10' },
+  { districtCode: '468', districtName: 'AURANGABAD', stateCode: '27' },
+  { districtCode: '557', districtName: 'KANCHEEPURAM', stateCode: '33' }
+];
+
+beforeAll(() => {
+  jest.spyOn(State, 'findAll').mockResolvedValue(states.map(state => ({ ...state, localNames: null })));
+  jest.spyOn(District, 'findAll').mockResolvedValue(districts.map(district => ({ ...district, localNames: null })));
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveState', () => {
+  it('matches the stored name in any case', async () => {
+    const result = await nameResolverService.resolveState('bihar');
+    expect(result).toEqual({ match: { stateCode: '10', stateName: 'BIHAR' }, matchType: 'exact', suggestions: [] });
+  });
+
+  it('matches an LGD alias', async () => {
+    const result = await nameResolverService.resolveState('Orissa');
+    expect(result).toMatchObject({ match: { stateCode: '21' }, matchType: 'alias' });
+  });
+
+  it('matches a misspelling within the edit distance', async () => {
+    const result = await nameResolverService.resolveState('Maharshtra');
+    expect(result).toMatchObject({ match: { stateCode: '27' }, matchType: 'fuzzy' });
+  });
+});
+
+describe('resolveDistrict', () => {
+  it('matches a former name of a renamed district', async () => {
+    const result = await nameResolverService.resolveDistrict('Allahabad');
+    expect(result).toMatchObject({ match: { districtCode: '170', stateName: 'UTTAR PRADESH' }, matchType: 'renamed' });
+  });
+
+  it('matches an alias from the alias table', async () => {
+    const result = await nameResolverService.resolveDistrict('Mohali', { stateCode: '3' });
+    expect(result).toMatchObject({ match: { districtCode: '608' }, matchType: 'alias' });
+  });
+
+  it('matches a different romanisation of the same name', async () => {
+    const result = await nameResolverService.resolveDistrict('Kanchipuram');
+    expect(result).toMatchObject({ match: { districtCode: '557' }, matchType: 'transliteration' });
+  });
+
+  it('matches a misspelling within the edit distance', async () => {
+    const result = await nameResolverService.resolveDistrict('Prayagrj');
+    expect(result).toMatchObject({ match: { districtCode: '170' }, matchType: 'fuzzy' });
+  });
+
+  it('suggests every district sharing a name instead of picking one', async () => {
+    const result = await nameResolverService.resolveDistrict('Aurangabad');
+    expect(result.match).toBeNull();
+    expect(result.suggestions.map(place => place.districtCode)).toEqual(['211', '468']);
+  });
+
+  it('resolves a shared name within the given state', async () => {
+    const result = await nameResolverService.resolveDistrict('Aurangabad', { stateCode: '27' });
+    expect(result).toMatchObject({ match: { districtCode: '468' }, matchType: 'exact' });
+  });
+
+  it('suggests districts that start with a partial name', async () => {
+    const result = await nameResolverService.resolveDistrict('Kanch');
+    expect(result.match).toBeNull();
+    expect(result.suggestions.map(place => place.districtCode)).toEqual(['557']);
+  });
+
+  it('returns nothing for blank or unknown input', async () => {
+    expect(await nameResolverService.resolveDistrict('  ')).toEqual({ match: null, matchType: null, suggestions: [] });
+    expect(await nameResolverService.resolveDistrict('Xyzzy')).toEqual({ match: null, matchType: null, suggestions: [] });
+  });
+});
+
+describe('notFoundMessage', () => {
+  it('adds a did-you-mean hint naming each suggestion', () => {
+    const message = nameResolverService.notFoundMessage('District', 'Aurangabd', [
+      { districtName: 'AURANGABAD', stateName: 'BIHAR' },
+      { districtName: 'AURANGABAD', stateName: 'MAHARASHTRA' }
+    ]);
+    expect(message).toBe("District 'Aurangabd' not found. Did you mean AURANGABAD (BIHAR), AURANGABAD (MAHARASHTRA)?");
+  });
+
+  it('leaves the hint out without suggestions', () => {
+    expect(nameResolverService.notFoundMessage('State', 'Xyz', [], " in year '2024-2025'")).toBe("State 'Xyz' not found in year '2024-2025'.");
+  });
+});
@@ -0,0 +1,165 @@
+const { State, District, DistrictPerformance, DistrictExtendedMetrics } = require('../models/index');
+const dataProcessingService = require('./dataProcessingService');
+
+// Size measures that define a peer group. Job cards come from the extended metrics.
+const SIZE_FEATURES = ['totalHouseholdsWorked', 'totalJobcardsIssued', 'approvedLabourBudget'];
+
+// A candidate must share at least this many size measures with the district to be compared
+const MIN_SHARED_FEATURES = 2;
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Finds districts of similar size anywhere in the country, so a district can be
+ * benchmarked against real peers rather than against state or national averages.
+ */
+class PeerService {
+  getSizes(row) {
+    return {
+      totalHouseholdsWorked: parseFloat(row.totalHouseholdsWorked) || 0,
+      totalJobcardsIssued: parseFloat(row.extendedMetrics?.totalJobcardsIssued) || 0,
+      approvedLabourBudget: parseFloat(row.approvedLabourBudget) || 0
+    };
+  }
+
+  /**
+   * Sizes span orders of magnitude, so each measure is log-scaled and divided by its
+   * spread across districts. Zero means not reported and is left out.
+   */
+  buildFeatureScaler(sizes) {
+    const scales = {};
+    SIZE_FEATURES.forEach(feature => {
+      const logs = sizes.map(size => size[feature]).filter(value => value > 0).map(Math.log);
+      if (logs.length < 2) return;
+
+      const mean = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+      const sd = Math.sqrt(logs.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (logs.length - 1));
+      if (sd > 0) scales[feature] = sd;
+    });
+
+    return (size) => {
+      const scaled = {};
+      Object.entries(scales).forEach(([feature, sd]) => {
+        if (size[feature] > 0) scaled[feature] = Math.log(size[feature]) / sd;
+      });
+      return scaled;
+    };
+  }
+
+  /**
+   * Root mean square difference over the measures both districts report, or null if too few
+   */
+  distance(a, b) {
+    const shared = Object.keys(a).filter(feature => b[feature] !== undefined);
+    if (shared.length < MIN_SHARED_FEATURES) return null;
+
+    const sum = shared.reduce((total, feature) => total + (a[feature] - b[feature]) ** 2, 0);
+    return { distance: Math.sqrt(sum / shared.length), featuresCompared: shared };
+  }
+
+  /**
+   * How the district compares with the median of its peers on each headline metric
+   */
+  buildBenchmark(own, peers) {
+    const benchmark = {};
+    Object.keys(own.performance).forEach(metric => {
+      const value = own.performance[metric];
+      const peerMedian = median(peers.map(peer => peer.performance[metric]));
+      benchmark[metric] = {
+        value,
+        peerMedian: round2(peerMedian),
+        difference: round2(value - peerMedian),
+        percentDifference: peerMedian !== 0 ? round2(((value - peerMedian) / peerMedian) * 100) : null
+      };
+    });
+    return benchmark;
+  }
+
+  /**
+   * Most similar districts by size at the district's latest month of the year.
+   * Returns null when the district has no data for the year.
+   */
+  async findSimilarDistricts(districtCode, finYear, { limit = 10, excludeSameState = false } = {}) {
+    const own = await DistrictPerformance.findAll({
+      where: { districtCode, finYear },
+      attributes: ['month', 'monthIndex']
+    });
+    const month = dataProcessingService.getLatestByFiscalMonth(own)?.month;
+    if (!month) return null;
+
+    // Upstream figures are cumulative, so every district is compared at the same month
+    const rows = await dataProcessingService.findDistrictRowsForMonth({
+      finYear,
+      month,
+      include: [
+        {
+          model: District,
+          as: 'district',
+          attributes: ['districtName', 'stateCode'],
+          include: [{ model: State, as: 'state', attributes: ['stateName'] }]
+        },
+        {
+          model: DistrictExtendedMetrics,
+          as: 'extendedMetrics',
+          attributes: ['totalJobcardsIssued'],
+          required: false
+        }
+      ]
+    });
+
+    const target = rows.find(row => row.districtCode === districtCode);
+    if (!target) return null;
+
+    const scale = this.buildFeatureScaler(rows.map(row => this.getSizes(row)));
+    const targetFeatures = scale(this.getSizes(target));
+
+    const describe = (row) => ({
+      districtCode: row.districtCode,
+      districtName: row.district?.districtName,
+      stateCode: row.district?.stateCode,
+      stateName: row.district?.state?.stateName,
+      size: this.getSizes(row),
+      hasAnomalies: !!row.hasAnomalies,
+      performance: {
+        ...dataProcessingService.pickMetrics(row),
+        performanceScore: dataProcessingService.getPerformanceScore(row)
+      },
+      grade: dataProcessingService.getPerformanceGrade(row)
+    });
+
+    const peers = rows
+      .filter(row => row.districtCode !== districtCode)
+      .filter(row => !excludeSameState || row.district?.stateCode !== target.district?.stateCode)
+      .map(row => ({ row, match: this.distance(targetFeatures, scale(this.getSizes(row))) }))
+      .filter(({ match }) => match !== null)
+      .sort((a, b) => a.match.distance - b.match.distance)
+      .slice(0, limit)
+      .map(({ row, match }) => ({
+        ...describe(row),
+        distance: parseFloat(match.distance.toFixed(3)),
+        // 100 for an identical size profile, falling towards 0 as profiles diverge
+        similarity: Math.round(100 * Math.exp(-match.distance)),
+        featuresCompared: match.featuresCompared
+      }));
+
+    const self = describe(target);
+
+    return {
+      finYear,
+      month,
+      sizeMeasures: SIZE_FEATURES,
+      candidates: rows.length - 1,
+      self,
+      peers,
+      benchmark: peers.length > 0 ? this.buildBenchmark(self, peers) : null
+    };
+  }
+}
+
+module.exports = new PeerService();
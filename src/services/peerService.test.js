@@ -0,0 +1,59 @@
+jest.mock('../config/redis', () => ({}));
+
+const { DistrictPerformance } = require('../models/index');
+const dataProcessingService = require('./dataProcessingService');
+const peerService = require('./peerService');
+
+// Stored rows for one financial year, spelling the same month the ways upstream has
+const storedRow = (districtCode, month, totalHouseholdsWorked, values = {}) => ({
+  districtCode,
+  finYear: '2024-2025',
+  month,
+  monthIndex: dataProcessingService.getFiscalMonthIndex(month),
+  updated_at: '2025-01-01T00:00:00.000Z',
+  totalHouseholdsWorked,
+  approvedLabourBudget: totalHouseholdsWorked * 100,
+  extendedMetrics: { totalJobcardsIssued: totalHouseholdsWorked * 2 },
+  district: { districtName: `DISTRICT ${districtCode}`, stateCode: '10', state: { stateName: 'BIHAR' } },
+  ...values
+});
+
+const rows = [
+  storedRow('101', 'July', 1000),
+  storedRow('101', 'AUGUST', 1200),
+  storedRow('102', 'Aug', 1100),
+  storedRow('103', 'AUG', 50000),
+  storedRow('104', 'August', 1300, { updated_at: '2025-01-01T00:00:00.000Z' }),
+  storedRow('104', 'AUGUST', 1250, { updated_at: '2025-02-01T00:00:00.000Z' }),
+  storedRow('105', 'July', 1200)
+];
+
+describe('findSimilarDistricts', () => {
+  let findAll;
+
+  beforeEach(() => {
+    findAll = jest.spyOn(DistrictPerformance, 'findAll').mockImplementation(async ({ where }) => rows.filter(row => (
+      row.finYear === where.finYear
+        && (!where.districtCode || row.districtCode === where.districtCode)
+        && (!where.monthIndex || row.monthIndex === where.monthIndex)
+    )));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compares districts at the latest month whatever its spelling, once each', async () => {
+    const result = await peerService.findSimilarDistricts('101', '2024-2025');
+
+    expect(findAll.mock.calls[1][0].where).toEqual({ finYear: '2024-2025', monthIndex: 5 });
+    expect(result.month).toBe('AUGUST');
+    expect(result.candidates).toBe(3);
+    expect(result.peers.map(peer => peer.districtCode)).toEqual(['104', '102', '103']);
+    expect(result.peers[0].size.totalHouseholdsWorked).toBe(1250);
+  });
+
+  it('returns null for a district without data for the year', async () => {
+    expect(await peerService.findSimilarDistricts('999', '2024-2025')).toBeNull();
+  });
+});
@@ -0,0 +1,153 @@
+const { DistrictPerformance } = require('../models/index');
+const { Op } = require('sequelize');
+
+// Year-to-date metrics projected to year end
+const PROJECTED_METRICS = ['persondays', 'households100Days', 'totalExpenditure'];
+
+const FINAL_MONTH_INDEX = 12; // March
+
+// z for a two-sided 80% band
+const CONFIDENCE_LEVEL = 0.8;
+const CONFIDENCE_Z = 1.2816;
+
+// Relative band used when there are too few past years to measure the spread
+const FALLBACK_BAND = 0.25;
+
+const round = (value) => Math.round(value);
+
+/**
+ * Projects year-end figures from a district's cumulative series for the year so far,
+ * using the share of the year-end total that the same district had reached by the
+ * same month in past years. Works only from stored data.
+ */
+class ProjectionService {
+  /**
+   * Share of the year-end total reached by each month, for each past year that has both
+   */
+  getSeasonalShares(pastPerformances, monthIndex, metric) {
+    const byYear = new Map();
+    pastPerformances.forEach(perf => {
+      byYear.set(perf.finYear, [...(byYear.get(perf.finYear) || []), perf]);
+    });
+
+    const shares = [];
+    byYear.forEach((records, finYear) => {
+      const atMonth = records.find(record => record.monthIndex === monthIndex);
+      const atYearEnd = records.find(record => record.monthIndex === FINAL_MONTH_INDEX);
+      if (!atMonth || !atYearEnd) return;
+
+      const yearEnd = parseFloat(atYearEnd[metric]) || 0;
+      const soFar = parseFloat(atMonth[metric]) || 0;
+      if (yearEnd <= 0 || soFar <= 0) return;
+
+      shares.push({ finYear, share: Math.min(soFar / yearEnd, 1) });
+    });
+
+    return shares.sort((a, b) => b.finYear.localeCompare(a.finYear));
+  }
+
+  /**
+   * Project one metric from its current year-to-date value
+   */
+  projectMetric(current, monthIndex, shares) {
+    if (monthIndex === FINAL_MONTH_INDEX) {
+      return { current, projected: current, low: current, high: current, method: 'actual', yearsUsed: [] };
+    }
+
+    // Without history, assume the rest of the year continues at this year's pace
+    if (shares.length === 0) {
+      const projected = (current * FINAL_MONTH_INDEX) / monthIndex;
+      return {
+        current,
+        projected: round(projected),
+        low: round(Math.max(current, projected * (1 - FALLBACK_BAND))),
+        high: round(projected * (1 + FALLBACK_BAND)),
+        method: 'linear',
+        yearsUsed: []
+      };
+    }
+
+    const estimates = shares.map(({ share }) => current / share);
+    const mean = estimates.reduce((sum, value) => sum + value, 0) / estimates.length;
+
+    let halfWidth = mean * FALLBACK_BAND;
+    if (estimates.length > 1) {
+      const variance = estimates.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (estimates.length - 1);
+      halfWidth = CONFIDENCE_Z * Math.sqrt(variance);
+    }
+
+    return {
+      current,
+      projected: round(mean),
+      // The year cannot end below what has already been reached
+      low: round(Math.max(current, mean - halfWidth)),
+      high: round(mean + halfWidth),
+      method: 'seasonal',
+      yearsUsed: shares.map(({ finYear }) => finYear)
+    };
+  }
+
+  /**
+   * Year-end projections for a district and financial year. Returns null when the year has no data.
+   */
+  async projectYearEnd(districtCode, finYear, { historyYears = 5 } = {}) {
+    const startYear = parseInt(finYear.split('-')[0]);
+    const pastYears = [];
+    for (let i = 1; i <= historyYears; i++) {
+      pastYears.push(`${startYear - i}-${startYear - i + 1}`);
+    }
+
+    const performances = await DistrictPerformance.findAll({
+      where: {
+        districtCode,
+        finYear: { [Op.in]: [finYear, ...pastYears] },
+        monthIndex: { [Op.ne]: null }
+      },
+      attributes: ['finYear', 'month', 'monthIndex', 'approvedLabourBudget', 'hasAnomalies', ...PROJECTED_METRICS],
+      order: [['finYear', 'DESC'], ['monthIndex', 'DESC']]
+    });
+
+    const currentYear = performances.filter(perf => perf.finYear === finYear);
+    if (currentYear.length === 0) return null;
+
+    const latest = currentYear[0];
+    const pastPerformances = performances.filter(perf => perf.finYear !== finYear);
+
+    const projections = {};
+    PROJECTED_METRICS.forEach(metric => {
+      projections[metric] = this.projectMetric(
+        parseFloat(latest[metric]) || 0,
+        latest.monthIndex,
+        this.getSeasonalShares(pastPerformances, latest.monthIndex, metric)
+      );
+    });
+
+    // The approved labour budget is set in persondays
+    const approvedLabourBudget = parseFloat(latest.approvedLabourBudget) || 0;
+    const persondays = projections.persondays;
+    const utilisation = (value) => approvedLabourBudget > 0
+      ? parseFloat(((value / approvedLabourBudget) * 100).toFixed(1))
+      : null;
+
+    return {
+      finYear,
+      asOfMonth: latest.month,
+      monthsElapsed: latest.monthIndex,
+      isYearComplete: latest.monthIndex === FINAL_MONTH_INDEX,
+      hasAnomalies: currentYear.some(perf => perf.hasAnomalies),
+      confidenceLevel: CONFIDENCE_LEVEL,
+      projections,
+      labourBudget: {
+        approvedLabourBudget,
+        unit: 'persondays',
+        utilisationToDate: utilisation(persondays.current),
+        projectedUtilisation: utilisation(persondays.projected),
+        projectedUtilisationLow: utilisation(persondays.low),
+        projectedUtilisationHigh: utilisation(persondays.high),
+        projectedShortfall: approvedLabourBudget > 0 ? round(Math.max(approvedLabourBudget - persondays.projected, 0)) : null
+      }
+    };
+  }
+}
+
+module.exports = new ProjectionService();
@@ -0,0 +1,160 @@
+const scoringConfig = require('../config/scoring');
+
+/**
+ * Scores performance records with the versioned methodologies in src/config/scoring.js
+ */
+class ScoringService {
+  constructor() {
+    this.methodologies = new Map();
+
+    scoringConfig.methodologies.forEach(methodology => {
+      this.validateMethodology(methodology);
+      this.methodologies.set(methodology.version, methodology);
+    });
+
+    if (!this.methodologies.has(scoringConfig.activeVersion)) {
+      throw new Error(`Active scoring methodology '${scoringConfig.activeVersion}' is not defined`);
+    }
+
+    this.activeVersion = scoringConfig.activeVersion;
+  }
+
+  /**
+   * Fail fast on a malformed methodology rather than serving wrong scores
+   */
+  validateMethodology(methodology) {
+    const { version, components, grades } = methodology;
+
+    if (!version || this.methodologies.has(version)) {
+      throw new Error(`Scoring methodology version '${version}' is missing or duplicated`);
+    }
+
+    const totalWeight = (components || []).reduce((sum, component) => sum + component.weight, 0);
+    if (totalWeight !== 100) {
+      throw new Error(`Scoring methodology ${version}: component weights add up to ${totalWeight}, expected 100`);
+    }
+
+    components.forEach(component => {
+      if (!component.metric && !(component.numerator && Array.isArray(component.denominator))) {
+        throw new Error(`Scoring methodology ${version}: component ${component.key} needs a metric or a numerator and denominator`);
+      }
+      if (!(component.target > 0)) {
+        throw new Error(`Scoring methodology ${version}: component ${component.key} needs a positive target`);
+      }
+    });
+
+    const minimums = (grades || []).map(band => band.min);
+    if (minimums.length === 0 || minimums[minimums.length - 1] !== 0 || minimums.some((min, i) => i > 0 && min >= minimums[i - 1])) {
+      throw new Error(`Scoring methodology ${version}: grade bands must be in descending order and end at 0`);
+    }
+  }
+
+  getMethodology(version = this.activeVersion) {
+    const methodology = this.methodologies.get(version);
+    if (!methodology) {
+      throw new Error(`Unknown scoring methodology '${version}'`);
+    }
+    return methodology;
+  }
+
+  listMethodologies() {
+    return Array.from(this.methodologies.values()).map(({ version, name, description }) => ({
+      version,
+      name,
+      description,
+      active: version === this.activeVersion
+    }));
+  }
+
+  /**
+   * Normalised input for a component (0 = nothing, 1 = target reached), or null if it cannot be computed
+   */
+  getComponentValue(component, performance) {
+    if (component.metric) {
+      return parseFloat(performance[component.metric]) || 0;
+    }
+
+    const denominator = component.denominator.reduce((sum, metric) => sum + (parseFloat(performance[metric]) || 0), 0);
+    if (denominator <= 0) return null;
+    return (parseFloat(performance[component.numerator]) || 0) / denominator;
+  }
+
+  /**
+   * Score a record and return the per-component breakdown
+   */
+  score(performance, version = this.activeVersion) {
+    const methodology = this.getMethodology(version);
+
+    const components = methodology.components.map(component => {
+      const value = this.getComponentValue(component, performance);
+      const normalized = value === null ? null : Math.max(0, Math.min(value / component.target, 1));
+
+      return {
+        key: component.key,
+        label: component.label,
+        weight: component.weight,
+        value: value === null ? null : parseFloat(value.toFixed(4)),
+        normalized: normalized === null ? null : parseFloat(normalized.toFixed(4)),
+        points: normalized === null ? 0 : component.weight * normalized
+      };
+    });
+
+    const points = components.reduce((sum, component) => sum + component.points, 0);
+    const availableWeight = components
+      .filter(component => component.normalized !== null)
+      .reduce((sum, component) => sum + component.weight, 0);
+
+    let score = points;
+    if (methodology.missingInputs === 'redistribute') {
+      score = availableWeight > 0 ? (points / availableWeight) * 100 : 0;
+    }
+
+    return {
+      version: methodology.version,
+      score: Math.round(score),
+      components: components.map(component => ({
+        ...component,
+        points: parseFloat(component.points.toFixed(2))
+      }))
+    };
+  }
+
+  /**
+   * Grade band for a score
+   */
+  grade(score, version = this.activeVersion) {
+    const { grade, label, color } = this.getMethodology(version).grades.find(band => score >= band.min);
+    return { grade, label, color };
+  }
+
+  /**
+   * Full description of a methodology for the /methodology endpoint
+   */
+  describe(version = this.activeVersion) {
+    const { name, description, missingInputs, components, grades } = this.getMethodology(version);
+
+    return {
+      version,
+      name,
+      description,
+      active: version === this.activeVersion,
+      scale: { min: 0, max: 100 },
+      formula: 'Each component scores weight x min(value / target, 1); the score is the sum of component points, rounded.',
+      missingInputs: missingInputs === 'redistribute'
+        ? 'Components that cannot be computed are left out and their weight is spread over the rest.'
+        : 'Components that cannot be computed score zero.',
+      components: components.map(component => ({
+        key: component.key,
+        label: component.label,
+        weight: component.weight,
+        input: component.metric
+          ? component.metric
+          : `${component.numerator} / (${component.denominator.join(' + ')})`,
+        target: component.target
+      })),
+      grades
+    };
+  }
+}
+
+module.exports = new ScoringService();
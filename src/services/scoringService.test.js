@@ -0,0 +1,101 @@
+const scoringService = require('./scoringService');
+
+const methodology = (overrides = {}) => ({
+  version: 'test',
+  missingInputs: 'zero',
+  components: [
+    { key: 'employmentDays', weight: 60, metric: 'averageDaysEmployment', target: 100 },
+    { key: 'worksCompletion', weight: 40, numerator: 'completedWorks', denominator: ['completedWorks', 'ongoingWorks'], target: 1 }
+  ],
+  grades: [
+    { min: 50, grade: 'A', label: 'Good' },
+    { min: 0, grade: 'B', label: 'Poor' }
+  ],
+  ...overrides
+});
+
+const performance = {
+  averageDaysEmployment: 50,
+  paymentWithin15Days: 80,
+  womenPersondays: 400,
+  persondays: 1000,
+  completedWorks: 30,
+  ongoingWorks: 10
+};
+
+describe('validateMethodology', () => {
+  it('accepts a well-formed methodology', () => {
+    expect(() => scoringService.validateMethodology(methodology())).not.toThrow();
+  });
+
+  it('rejects a missing or duplicated version', () => {
+    expect(() => scoringService.validateMethodology(methodology({ version: undefined }))).toThrow(/missing or duplicated/);
+    expect(() => scoringService.validateMethodology(methodology({ version: 'v1' }))).toThrow(/missing or duplicated/);
+  });
+
+  it('rejects weights that do not add up to 100', () => {
+    const components = methodology().components.map(component => ({ ...component, weight: 30 }));
+    expect(() => scoringService.validateMethodology(methodology({ components }))).toThrow('component weights add up to 60, expected 100');
+  });
+
+  it('rejects a component without an input or a positive target', () => {
+    const [employment, works] = methodology().components;
+    expect(() => scoringService.validateMethodology(methodology({ components: [employment, { ...works, numerator: undefined }] })))
+      .toThrow('component worksCompletion needs a metric or a numerator and denominator');
+    expect(() => scoringService.validateMethodology(methodology({ components: [{ ...employment, target: 0 }, works] })))
+      .toThrow('component employmentDays needs a positive target');
+  });
+
+  it('rejects grade bands out of order or not ending at 0', () => {
+    const [good, poor] = methodology().grades;
+    expect(() => scoringService.validateMethodology(methodology({ grades: [poor, good] }))).toThrow(/grade bands/);
+    expect(() => scoringService.validateMethodology(methodology({ grades: [good] }))).toThrow(/grade bands/);
+    expect(() => scoringService.validateMethodology(methodology({ grades: [] }))).toThrow(/grade bands/);
+  });
+});
+
+describe('score', () => {
+  it('sums weight x min(value / target, 1) over the components', () => {
+    const result = scoringService.score(performance, 'v2');
+
+    expect(result.version).toBe('v2');
+    expect(result.score).toBe(70);
+    expect(result.components.map(({ key, points }) => [key, points])).toEqual([
+      ['employmentDays', 15],
+      ['paymentTimeliness', 20],
+      ['womenParticipation', 16],
+      ['worksCompletion', 18.75]
+    ]);
+  });
+
+  it('caps a component at its weight once the target is reached', () => {
+    const result = scoringService.score({ ...performance, averageDaysEmployment: 150 }, 'v2');
+    expect(result.components[0]).toMatchObject({ value: 150, normalized: 1, points: 30 });
+  });
+
+  it('spreads the weight of a component that cannot be computed under v2', () => {
+    const result = scoringService.score({ ...performance, persondays: 0 }, 'v2');
+
+    expect(result.components[2]).toMatchObject({ key: 'womenParticipation', value: null, normalized: null, points: 0 });
+    expect(result.score).toBe(67);
+  });
+
+  it('scores a component that cannot be computed as zero under v1', () => {
+    const result = scoringService.score({ ...performance, completedWorks: 0, ongoingWorks: 0 }, 'v1');
+
+    expect(result.components[3]).toMatchObject({ key: 'worksCompletion', value: null, points: 0 });
+    expect(result.score).toBe(55);
+  });
+
+  it('throws for an unknown methodology', () => {
+    expect(() => scoringService.score(performance, 'v0')).toThrow("Unknown scoring methodology 'v0'");
+  });
+});
+
+describe('grade', () => {
+  it('picks the first band whose minimum the score reaches', () => {
+    expect(scoringService.grade(80, 'v2')).toMatchObject({ grade: 'A', label: 'Excellent' });
+    expect(scoringService.grade(79, 'v2')).toMatchObject({ grade: 'B', label: 'Good' });
+    expect(scoringService.grade(0, 'v2')).toMatchObject({ grade: 'E', label: 'Poor' });
+  });
+});
@@ -0,0 +1,90 @@
+const lgdService = require('./lgdService');
+const nameResolverService = require('./nameResolverService');
+
+// Scores for how a query matches a name; official names outrank aliases for the same kind of match
+const MATCH_SCORES = {
+  exact: { name: 100, alias: 90 },
+  prefix: { name: 80, alias: 60 },
+  wordPrefix: { name: 70, alias: 50 },
+  substring: { name: 40, alias: 30 }
+};
+const SPELLING_SCORE = 20;
+
+// Shortest query also matched on transliteration-tolerant spelling
+const MIN_SPELLING_LENGTH = 3;
+
+/**
+ * Autocomplete over states and districts. Uses the in-memory name index kept by
+ * nameResolverService, which is rebuilt after each sync.
+ */
+class SearchService {
+  /**
+   * Best match of a query against one index entry, or null
+   */
+  scoreEntry(entry, query, spelling) {
+    let best = null;
+
+    entry.names.forEach(({ key, matchType }) => {
+      const kind = matchType === 'exact' ? 'name' : 'alias';
+      let score = 0;
+      if (key === query) score = MATCH_SCORES.exact[kind];
+      else if (key.startsWith(query)) score = MATCH_SCORES.prefix[kind];
+      else if (key.split(' ').some(word => word.startsWith(query))) score = MATCH_SCORES.wordPrefix[kind];
+      else if (key.includes(query)) score = MATCH_SCORES.substring[kind];
+
+      if (score > 0 && (!best || score > best.score)) {
+        best = { score, matchedOn: kind, matchedName: key };
+      }
+    });
+
+    if (!best && spelling.length >= MIN_SPELLING_LENGTH && entry.spellings.some(key => key.startsWith(spelling))) {
+      best = { score: SPELLING_SCORE, matchedOn: 'spelling', matchedName: null };
+    }
+
+    return best;
+  }
+
+  /**
+   * Ranked states and districts matching a query by prefix, substring, alias or spelling
+   */
+  async search(q, { type = null, stateCode = null, limit = 10 } = {}) {
+    const query = lgdService.normalizeName(q);
+    if (!query) return [];
+
+    const spelling = nameResolverService.transliterationKey(q);
+    const { states, districts } = await nameResolverService.getIndex();
+
+    const candidates = [
+      ...(type === 'district' || stateCode ? [] : states.map(entry => ({ type: 'state', entry }))),
+      ...(type === 'state' ? [] : districts
+        .filter(entry => !stateCode || entry.place.stateCode === stateCode)
+        .map(entry => ({ type: 'district', entry })))
+    ];
+
+    const typeOrder = { state: 0, district: 1 };
+    const nameOf = ({ type: kind, entry }) => (kind === 'state' ? entry.place.stateName : entry.place.districtName) || '';
+
+    return candidates
+      .map(candidate => ({ ...candidate, match: this.scoreEntry(candidate.entry, query, spelling) }))
+      .filter(({ match }) => match !== null)
+      .sort((a, b) => (b.match.score - a.match.score)
+        || (typeOrder[a.type] - typeOrder[b.type])
+        || (nameOf(a).length - nameOf(b).length)
+        || nameOf(a).localeCompare(nameOf(b)))
+      .slice(0, limit)
+      .map(candidate => {
+        const { place } = candidate.entry;
+        return {
+          type: candidate.type,
+          code: candidate.type === 'state' ? place.stateCode : place.districtCode,
+          name: nameOf(candidate),
+          state: candidate.type === 'district' ? { stateCode: place.stateCode, stateName: place.stateName } : null,
+          score: candidate.match.score,
+          matchedOn: candidate.match.matchedOn,
+          ...(candidate.match.matchedOn === 'alias' && { matchedName: candidate.match.matchedName })
+        };
+      });
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,76 @@
+const dataProcessingService = require('./dataProcessingService');
+const i18nService = require('./i18nService');
+
+// The /summary response must stay under this many bytes of JSON
+const SIZE_BUDGET_BYTES = 2048;
+
+// Headline metrics with plain-language labels
+const SUMMARY_METRICS = [
+  { key: 'totalHouseholdsWorked', label: 'Families who got work' },
+  { key: 'averageDaysEmployment', label: 'Average days of work per family', unit: 'days' },
+  { key: 'averageWageRate', label: 'Average daily wage', unit: '₹' },
+  { key: 'paymentWithin15Days', label: 'Wages paid on time (within 15 days)', unit: '%' },
+  { key: 'households100Days', label: 'Families who got all 100 days of work' },
+  { key: 'completedWorks', label: 'Works completed' }
+];
+
+/**
+ * Builds the compact district summary for low-bandwidth clients
+ */
+class SummaryService {
+  constructor() {
+    this.sizeBudgetBytes = SIZE_BUDGET_BYTES;
+  }
+
+  /**
+   * Only the columns the summary needs, to keep the query small too
+   */
+  getPerformanceAttributes() {
+    return [
+      'month', 'finYear', 'updated_at', 'ongoingWorks', 'womenPersondays', 'persondays',
+      'performanceScore', 'performanceGrade', 'scoreVersion', 'hasAnomalies',
+      ...SUMMARY_METRICS.map(m => m.key)
+    ];
+  }
+
+  /**
+   * Pass lang to add the district and state names in that language, where known
+   */
+  buildSummary(district, performance, lang = null) {
+    const grade = dataProcessingService.getPerformanceGrade(performance);
+    const districtLocal = lang ? i18nService.pickLocalName(district.localNames, lang) : null;
+    const stateLocal = lang ? i18nService.pickLocalName(district.state?.localNames, lang) : null;
+
+    return {
+      districtCode: district.districtCode,
+      district: district.districtName,
+      ...(districtLocal && { districtLocal }),
+      state: district.state?.stateName,
+      ...(stateLocal && { stateLocal }),
+      finYear: performance.finYear,
+      month: performance.month,
+      grade: grade.grade,
+      gradeLabel: grade.label,
+      color: grade.color,
+      scoringMethodology: dataProcessingService.getScoringVersion(),
+      metrics: SUMMARY_METRICS.map(metric => ({
+        key: metric.key,
+        label: metric.label,
+        value: parseFloat(performance[metric.key]) || 0,
+        ...(metric.unit && { unit: metric.unit })
+      })),
+      ...(performance.hasAnomalies && { hasAnomalies: true }),
+      updatedAt: performance.updated_at
+    };
+  }
+
+  getSize(payload) {
+    return Buffer.byteLength(JSON.stringify(payload));
+  }
+
+  isWithinBudget(payload) {
+    return this.getSize(payload) <= this.sizeBudgetBytes;
+  }
+}
+
+module.exports = new SummaryService();
@@ -0,0 +1,58 @@
+jest.mock('../config/redis', () => ({}));
+
+const summaryService = require('./summaryService');
+const i18nService = require('./i18nService');
+const scoringService = require('./scoringService');
+
+// Names at the 100-character column limit, in a script that takes three bytes a character
+const NAME_LENGTH = 100;
+const longName = (letter) => letter.repeat(NAME_LENGTH);
+const longLocalName = (lang) => ({ [lang]: 'ఖ'.repeat(NAME_LENGTH) });
+
+// Every summary metric at its widest plausible value, flagged for anomalies
+const performance = (performanceScore) => ({
+  finYear: '2024-2025',
+  month: 'SEPTEMBER',
+  updated_at: new Date('2025-09-30T23:59:59.999Z'),
+  performanceScore,
+  performanceGrade: scoringService.grade(performanceScore).grade,
+  scoreVersion: scoringService.activeVersion,
+  hasAnomalies: true,
+  totalHouseholdsWorked: 123456789,
+  averageDaysEmployment: 149.99,
+  averageWageRate: 1234.56,
+  paymentWithin15Days: 99.99,
+  households100Days: 12345678,
+  completedWorks: 1234567
+});
+
+describe('district summary size budget', () => {
+  // One score per grade band, since grade labels translate to different lengths
+  const scores = [90, 70, 50, 30, 10];
+
+  i18nService.supportedLanguages.forEach(lang => {
+    it(`keeps the longest ${lang} summary within ${summaryService.sizeBudgetBytes} bytes`, () => {
+      const district = {
+        districtCode: '99999',
+        districtName: longName('D'),
+        localNames: longLocalName(lang),
+        state: { stateName: longName('S'), localNames: longLocalName(lang) }
+      };
+
+      const grades = scores.map(score => {
+        // Localised the way getDistrictSummary does before its size check
+        const body = i18nService.localize({ success: true, data: summaryService.buildSummary(district, performance(score), lang) }, lang);
+
+        expect(body.data).toMatchObject({ hasAnomalies: true });
+        if (lang !== i18nService.defaultLanguage) {
+          expect(body.data).toHaveProperty('districtLocal');
+          expect(body.data).toHaveProperty('stateLocal');
+        }
+        expect(summaryService.getSize(body)).toBeLessThanOrEqual(summaryService.sizeBudgetBytes);
+        expect(summaryService.isWithinBudget(body)).toBe(true);
+        return body.data.grade;
+      });
+      expect(new Set(grades).size).toBe(scores.length);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { SyncRun } = require('../models/index');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+
+const MAX_STORED_ERRORS = 20;
+
+/**
+ * Records the history of every pull from the upstream API. Failures to write
+ * history are logged and swallowed so they never break ingestion itself.
+ */
+class SyncRunService {
+  async startRun({ stateName = null, finYear = null, districtName = null, trigger = 'manual' }) {
+    try {
+      return await SyncRun.create({
+        stateName: stateName?.toUpperCase() || null,
+        finYear,
+        districtName: districtName?.toUpperCase() || null,
+        trigger,
+        status: 'running',
+        startedAt: new Date()
+      });
+    } catch (error) {
+      logger.error('Failed to record sync run start:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Add page/record counts to a running sync
+   */
+  async addProgress(run, { pagesFetched = 0, recordsFetched = 0, recordsUpserted = 0, responseBytes = 0 }) {
+    if (!run) return;
+
+    try {
+      await run.increment({ pagesFetched, recordsFetched, recordsUpserted, responseBytes });
+    } catch (error) {
+      logger.error(`Failed to record progress for sync run ${run.id}:`, error.message);
+    }
+  }
+
+  async addError(run, error) {
+    if (!run) return;
+
+    try {
+      const errorLog = [...(run.errorLog || []), {
+        message: error.message || String(error),
+        at: new Date().toISOString()
+      }].slice(-MAX_STORED_ERRORS);
+
+      await run.update({ errorLog, errorCount: (run.errorCount || 0) + 1 });
+    } catch (updateError) {
+      logger.error(`Failed to record error for sync run ${run.id}:`, updateError.message);
+    }
+  }
+
+  async finishRun(run) {
+    if (!run) return;
+
+    try {
+      await run.reload();
+      await run.update({
+        status: run.errorCount > 0 ? 'partial' : 'success',
+        finishedAt: new Date()
+      });
+    } catch (error) {
+      logger.error(`Failed to record sync run ${run.id} finish:`, error.message);
+    }
+  }
+
+  async failRun(run, error) {
+    if (!run) return;
+
+    await this.addError(run, error);
+
+    try {
+      await run.update({ status: 'failed', finishedAt: new Date() });
+    } catch (updateError) {
+      logger.error(`Failed to record sync run ${run.id} failure:`, updateError.message);
+    }
+  }
+
+  /**
+   * List recent sync runs, newest first
+   */
+  async listRuns({ state, finYear, status, trigger, limit = 50, offset = 0 }) {
+    const where = {};
+
+    if (state) where.stateName = { [Op.like]: state.toUpperCase() };
+    if (finYear) where.finYear = finYear;
+    if (status) where.status = status;
+    if (trigger) where.trigger = trigger;
+
+    return await SyncRun.findAndCountAll({
+      where,
+      order: [['startedAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  }
+}
+
+module.exports = new SyncRunService();